@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { startServer } from '../server.mjs';
+
+// Importing server.mjs only sets up the app; this is the process that serves it
+startServer();
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+
+/**
+ * Command-line client for a running WaveSpeed Batch Generator server.
+ * Talks to the same HTTP API as the web UI; see `wavespeed-batch --help`.
+ */
+
+const USAGE = `Usage: wavespeed-batch <command> [options]
+
+Commands:
+  submit [request.json]   Start a run from a JSON request body and/or flags (flags win)
+  status <runId>          Print a run's status
+  wait <runId>            Show progress until the run finishes
+  download <runId>        Save a run's images into a folder
+
+Request flags (submit):
+      --preset <name>         Start from a saved preset (GET /api/presets); other flags override it
+  -p, --prompt <text>         Prompt
+      --subject <url|file>    Subject image; repeat for a subject matrix. Local files are uploaded
+      --reference <url|file>  Reference image (repeatable)
+  -n, --count <n>             Images per prompt (batchCount)
+      --width <px>            Output width
+      --height <px>           Output height
+  -m, --model <id>            Model id (see GET /api/models)
+      --seed <n>              Seed (with --set seedStrategy=fixed|sequential)
+      --set <name=value>      Any other request field, e.g. --set steps=40 (repeatable)
+      --dry-run               Only show what would be submitted and what it costs
+
+Options:
+  -s, --server <url>      Server URL (WAVESPEED_BATCH_URL, default http://localhost:3000)
+  -k, --api-key <key>     API key when the server has users (WAVESPEED_BATCH_API_KEY)
+  -w, --wait              submit: wait for the run to finish
+  -o, --out <dir>         Folder for the images (download: default ./outputs/<runId>; submit --wait, wait)
+      --interval <ms>     Progress polling interval (default 2000)
+      --json              Print raw JSON responses
+  -h, --help              Show this help
+
+submit --wait and wait exit with 0 when every task of the run succeeded, 1 otherwise.`;
+
+const ACTIVE_STATUSES = ['processing', 'waiting_budget'];
+// Runs finished before partial / failed outcomes existed are 'completed'
+const SUCCESS_STATUSES = ['succeeded', 'completed'];
+
+function parseCommandLine(argv) {
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      preset: { type: 'string' },
+      prompt: { type: 'string', short: 'p' },
+      subject: { type: 'string', multiple: true },
+      reference: { type: 'string', multiple: true },
+      count: { type: 'string', short: 'n' },
+      width: { type: 'string' },
+      height: { type: 'string' },
+      model: { type: 'string', short: 'm' },
+      seed: { type: 'string' },
+      set: { type: 'string', multiple: true },
+      'dry-run': { type: 'boolean' },
+      server: { type: 'string', short: 's' },
+      'api-key': { type: 'string', short: 'k' },
+      wait: { type: 'boolean', short: 'w' },
+      out: { type: 'string', short: 'o' },
+      interval: { type: 'string' },
+      json: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+}
+
+function createClient(serverUrl, apiKey) {
+  const base = serverUrl.replace(/\/+$/, '');
+  const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+
+  async function request(method, urlPath, { json, form } = {}) {
+    const response = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: {
+        ...headers,
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...(form ? form.getHeaders() : {})
+      },
+      body: json ? JSON.stringify(json) : form
+    });
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      body = { error: text };
+    }
+    if (!response.ok) {
+      const error = new Error(body.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.details = body.details || [];
+      throw error;
+    }
+    return body;
+  }
+
+  return {
+    base,
+    request,
+
+    /**
+     * Fetch a file the server links to; /outputs links are read from this server,
+     * whatever PUBLIC_BASE_URL it advertises
+     */
+    async download(url) {
+      const parsed = new URL(url, base);
+      const target = parsed.pathname.startsWith('/outputs/') ? `${base}${parsed.pathname}` : parsed.href;
+      const response = await fetch(target);
+      if (!response.ok) throw new Error(`Download failed (${response.status}): ${target}`);
+      return response.buffer();
+    }
+  };
+}
+
+/**
+ * Request value from a --set / flag string: numbers and JSON literals are parsed, the rest stays text
+ */
+function parseValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+async function imageRef(client, value) {
+  if (/^https?:\/\//i.test(value) || value.startsWith('upload:')) return value;
+  if (!fs.existsSync(value)) throw new Error(`Not a URL or an existing file: ${value}`);
+  const form = new FormData();
+  form.append('files', fs.createReadStream(value));
+  const { uploads } = await client.request('POST', '/api/uploads', { form });
+  console.error(`Uploaded ${value} as ${uploads[0].uploadId}`);
+  return uploads[0].uploadId;
+}
+
+async function buildRequest(client, values, file) {
+  const body = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+
+  if (values.preset !== undefined) body.preset = values.preset;
+  if (values.prompt !== undefined) body.prompt = values.prompt;
+  if (values.subject && values.subject.length === 1) body.subjectUrl = values.subject[0];
+  if (values.subject && values.subject.length > 1) body.subjectUrls = values.subject;
+  if (values.reference) body.referenceUrls = values.reference;
+  if (values.count !== undefined) body.batchCount = parseValue(values.count);
+  if (values.width !== undefined) body.width = parseValue(values.width);
+  if (values.height !== undefined) body.height = parseValue(values.height);
+  if (values.model !== undefined) body.model = values.model;
+  if (values.seed !== undefined) body.seed = parseValue(values.seed);
+  for (const assignment of values.set || []) {
+    const index = assignment.indexOf('=');
+    if (index < 1) throw new Error(`--set expects name=value, got: ${assignment}`);
+    body[assignment.slice(0, index)] = parseValue(assignment.slice(index + 1));
+  }
+  if (values['dry-run']) body.dryRun = true;
+
+  // Images given as local files (on the command line or in the JSON file) are uploaded first
+  if (body.subjectUrl) body.subjectUrl = await imageRef(client, body.subjectUrl);
+  for (const field of ['subjectUrls', 'referenceUrls']) {
+    if (!Array.isArray(body[field])) continue;
+    const refs = [];
+    for (const value of body[field]) refs.push(await imageRef(client, value));
+    body[field] = refs;
+  }
+  return body;
+}
+
+function describeProgress(status) {
+  const { total, settled, completed, failed } = status.progress;
+  const width = 20;
+  const filled = total ? Math.round((settled / total) * width) : 0;
+  const bar = `[${'#'.repeat(filled)}${'.'.repeat(width - filled)}]`;
+  return `${status.runId} ${status.status} ${bar} ${settled}/${total} (${completed} done, ${failed} failed)`;
+}
+
+async function waitForRun(client, runId, { interval, json }) {
+  const interactive = process.stderr.isTTY && !json;
+  let lastLine = null;
+  for (;;) {
+    const status = await client.request('GET', `/status/${encodeURIComponent(runId)}`);
+    const line = describeProgress(status);
+    if (line !== lastLine) {
+      if (interactive) process.stderr.write(`\r${line}\u001b[K`);
+      else process.stderr.write(`${line}\n`);
+      lastLine = line;
+    }
+    if (!ACTIVE_STATUSES.includes(status.status)) {
+      if (interactive) process.stderr.write('\n');
+      return status;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+async function downloadRun(client, status, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  let saved = 0;
+  for (const task of status.tasks) {
+    const urls = task.outputFiles.length > 0 ? task.outputFiles.map(file => file.url) : task.outputs;
+    for (const [index, url] of urls.entries()) {
+      const ext = path.extname(new URL(url, client.base).pathname) || '.png';
+      const fileName = `${String(task.taskIndex + 1).padStart(3, '0')}-${task.requestId}-${index + 1}${ext}`;
+      fs.writeFileSync(path.join(outDir, fileName), await client.download(url));
+      saved++;
+    }
+  }
+  fs.writeFileSync(path.join(outDir, 'run.json'), JSON.stringify(status, null, 2));
+  console.error(`Saved ${saved} image(s) to ${outDir}`);
+  return saved;
+}
+
+function printStatus(status, json) {
+  if (json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+  console.log(describeProgress(status));
+  if (status.failure) console.log(`  ${status.failure.message}${status.failure.details.map(line => `\n    ${line}`).join('')}`);
+  for (const task of status.tasks) {
+    const detail = task.error
+      ? ` - ${task.failureSource ? `${task.failureSource}: ` : ''}${task.error}`
+      : task.outputs.length ? ` - ${task.outputs.join(' ')}` : '';
+    console.log(`  #${task.taskIndex + 1} ${task.requestId} ${task.status}${detail}`);
+  }
+  for (const failure of status.submissionFailures || []) {
+    console.log(`  #${failure.taskIndex + 1} ${failure.failureId} failed - submission: ${failure.error}`);
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseCommandLine(argv);
+  const [command, argument] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const client = createClient(
+    values.server || process.env.WAVESPEED_BATCH_URL || 'http://localhost:3000',
+    values['api-key'] || process.env.WAVESPEED_BATCH_API_KEY
+  );
+  const interval = parseInt(values.interval || '2000');
+  const needRunId = () => {
+    if (!argument) throw new Error(`${command} needs a run id`);
+    return argument;
+  };
+
+  switch (command) {
+    case 'submit': {
+      const body = await buildRequest(client, values, argument);
+      const result = await client.request('POST', '/api/batch', { json: body });
+      if (values.json || body.dryRun) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        console.log(result.runId);
+        console.error(`${result.message} (${result.totalTasks} tasks, ~${result.estimate.credits} credits)`);
+      }
+      if (!values.wait || body.dryRun) return 0;
+      const status = await waitForRun(client, result.runId, { interval, json: values.json });
+      if (values.out) await downloadRun(client, status, values.out);
+      if (values.json) console.log(JSON.stringify(status, null, 2));
+      return SUCCESS_STATUSES.includes(status.status) ? 0 : 1;
+    }
+    case 'status': {
+      const status = await client.request('GET', `/status/${encodeURIComponent(needRunId())}`);
+      printStatus(status, values.json);
+      return 0;
+    }
+    case 'wait': {
+      const status = await waitForRun(client, needRunId(), { interval, json: values.json });
+      if (values.out) await downloadRun(client, status, values.out);
+      printStatus(status, values.json);
+      return SUCCESS_STATUSES.includes(status.status) ? 0 : 1;
+    }
+    case 'download': {
+      const runId = needRunId();
+      const status = await client.request('GET', `/status/${encodeURIComponent(runId)}`);
+      await downloadRun(client, status, values.out || path.join('outputs', runId));
+      return 0;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected submit, status, wait or download)`);
+  }
+}
+
+main(process.argv.slice(2)).then(
+  code => process.exit(code),
+  error => {
+    console.error(`Error: ${error.message}`);
+    for (const detail of error.details || []) console.error(`  - ${detail}`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * Programmatic use of the batch pipeline, without the HTTP server.
+ *
+ *   import { createBatchRunner } from 'wavespeed-batch-gen';
+ *
+ *   const runner = createBatchRunner({ WAVESPEED_API_KEY: '...', RESULTS_SINKS: 'local' });
+ *   runner.on('task-completed', event => console.log(event.requestId, event.outputs));
+ *   const { runId } = await runner.submit({ prompt, subjectUrl, width: 1024, height: 1024, batchCount: 4 });
+ *   const status = await runner.wait(runId);
+ *
+ * config takes the same settings as .env, by the same names, and wins over .env.
+ * The pipeline (stores in DATA_DIR, submission and Airtable queues) is shared by the whole
+ * process, so config only applies to the first runner created.
+ *
+ * submit(request)  -> body of a 200 / 202 /api/batch answer; same request fields
+ * status(runId)    -> /status/:runId body
+ * wait(runId)      -> final status once the run leaves processing / waiting_budget
+ * cancel(runId)    -> DELETE /api/batch/:runId body
+ * upload(image)    -> { uploadId, ... } for a file path or Buffer; use uploadId as subjectUrl / referenceUrls
+ * Errors carry the API's `status` and `details`.
+ *
+ * Events are the live events of runs this runner submitted or waits for, as on
+ * /status/:runId/stream: run-started, task-submitted, task-status, task-completed,
+ * task-failed, task-retrying, run-finished. Listeners get the event data (with runId and progress).
+ */
+
+let pipeline = null;
+
+const ACTIVE_STATUSES = ['processing', 'waiting_budget'];
+
+function apiError({ status, body }) {
+  const error = new Error(body.error || `Request failed (${status})`);
+  error.status = status;
+  error.details = body.details || [];
+  return error;
+}
+
+export function createBatchRunner(config = {}) {
+  if (pipeline && Object.keys(config).length > 0) {
+    throw new Error('The batch pipeline is already loaded in this process; pass config to the first createBatchRunner() only');
+  }
+  if (!pipeline) {
+    for (const [name, value] of Object.entries(config)) {
+      if (value !== undefined && value !== null) process.env[name] = String(value);
+    }
+    // server.mjs reads its configuration when it is first imported
+    pipeline = import('./server.mjs').then(module => {
+      module.startBackgroundWork();
+      return module;
+    });
+  }
+
+  const emitter = new EventEmitter();
+  const watched = new Map(); // runId -> listener on the pipeline's run events
+
+  async function watch(runId) {
+    if (watched.has(runId)) return;
+    const { runEvents } = await pipeline;
+    const listener = ({ type, data }) => {
+      emitter.emit(type, data);
+      if (type === 'run-finished') {
+        runEvents.off(runId, listener);
+        watched.delete(runId);
+      }
+    };
+    watched.set(runId, listener);
+    runEvents.on(runId, listener);
+  }
+
+  return {
+    on(type, listener) {
+      emitter.on(type, listener);
+      return this;
+    },
+
+    off(type, listener) {
+      emitter.off(type, listener);
+      return this;
+    },
+
+    async submit(request) {
+      const { createRunFromRequest } = await pipeline;
+      const result = await createRunFromRequest(request);
+      if (result.status >= 400) throw apiError(result);
+      if (result.body.runId) await watch(result.body.runId);
+      return result.body;
+    },
+
+    async status(runId) {
+      const { getRunStatus } = await pipeline;
+      const status = getRunStatus(runId);
+      if (!status) throw apiError({ status: 404, body: { error: 'Batch not found' } });
+      return status;
+    },
+
+    async wait(runId) {
+      const { getRunStatus, runEvents } = await pipeline;
+      await watch(runId);
+      return new Promise((resolve, reject) => {
+        const check = () => {
+          const status = getRunStatus(runId);
+          if (!status) {
+            runEvents.off(runId, onEvent);
+            reject(apiError({ status: 404, body: { error: 'Batch not found' } }));
+          } else if (!ACTIVE_STATUSES.includes(status.status)) {
+            runEvents.off(runId, onEvent);
+            resolve(status);
+          }
+        };
+        const onEvent = ({ type }) => {
+          if (type === 'run-finished') check();
+        };
+        runEvents.on(runId, onEvent);
+        check();
+      });
+    },
+
+    async upload(image, fileName = null) {
+      const { saveUpload } = await pipeline;
+      const buffer = Buffer.isBuffer(image) ? image : await fs.promises.readFile(image);
+      const name = fileName || (Buffer.isBuffer(image) ? 'image' : path.basename(image));
+      try {
+        return await saveUpload({ buffer, originalname: name });
+      } catch (error) {
+        throw apiError({ status: error.status || 500, body: { error: error.message } });
+      }
+    },
+
+    async cancel(runId) {
+      const { cancelRunRequest } = await pipeline;
+      const result = await cancelRunRequest(runId);
+      if (result.status >= 400) throw apiError(result);
+      return result.body;
+    }
+  };
+}
@@ -0,0 +1,313 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { retryDelayMs } from './retry.mjs';
+
+/**
+ * Intake queue in Airtable: rows whose Status is `queued` become runs.
+ *
+ * Every `intervalMs` the worker lists the queued rows of `table` (optionally within `view`)
+ * and handles them one at a time:
+ *
+ *   1. claim: Status -> processing and `Run ID` -> a fresh run id, through the base's write
+ *      queue. Airtable has no conditional updates, so after `claimSettleMs` the row is read
+ *      back; if another worker's Run ID is there now, the row is theirs and is skipped.
+ *   2. the row's fields are read into an /api/batch request (see parseIntakeRow)
+ *   3. start({ recordId, runId, request }) starts the run, which then writes its results
+ *      to the same row. It returns { status, reasons }: the Status to leave on the row
+ *      (`invalid`, `failed`, ...) with why, or status null when the run owns the row.
+ *
+ * Rows with unreadable fields are marked `invalid` with `Failure Reasons` (unless it is in
+ * `omitFields`, the columns the table does not have). A 429 pauses
+ * the worker for 30 seconds (or Retry-After); failed reads are retried with backoff, and
+ * nothing a row or Airtable does stops the loop.
+ *
+ * onResponse({ operation, ok, status, error }) is called after every read (list / read).
+ * onRow({ recordId, outcome }) reports each handled row: started, invalid, failed, conflict or error.
+ */
+
+const RATE_LIMIT_PAUSE_MS = 30000;
+
+// Fields of an intake row; the run writes its results next to them
+export const INTAKE_FIELDS = {
+  status: 'Status',
+  runId: 'Run ID',
+  prompt: 'Prompt',
+  subject: 'Subject',
+  references: 'References',
+  size: 'Size',
+  width: 'Width',
+  height: 'Height',
+  count: 'Count',
+  model: 'Model',
+  preset: 'Preset'
+};
+
+// What the producer filled in; runs must not overwrite these on the row
+export const INTAKE_INPUT_FIELDS = ['prompt', 'subject', 'references', 'size', 'width', 'height', 'count', 'model', 'preset']
+  .map(key => INTAKE_FIELDS[key]);
+
+const isUnset = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Image URLs of an attachment field, or of a text field with URLs separated by commas / new lines
+ */
+function imageUrls(value) {
+  if (isUnset(value)) return [];
+  if (Array.isArray(value)) return value.map(item => (item && typeof item === 'object' ? item.url : item)).filter(Boolean);
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+function integerField(value) {
+  if (isUnset(value)) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * /api/batch request from an intake row's fields. Returns { request, errors }.
+ *
+ * Size is `1024x1024` (or Width / Height fields), Count the images per prompt.
+ * One Subject attachment is the subject image, several make a subject matrix.
+ * Without a Preset, Prompt, Size and Count are required; a preset may supply them.
+ */
+export function parseIntakeRow(fields) {
+  const errors = [];
+  const request = {};
+  const field = key => fields[INTAKE_FIELDS[key]];
+
+  if (!isUnset(field('prompt'))) request.prompt = String(field('prompt')).trim();
+  if (!isUnset(field('preset'))) request.preset = String(field('preset')).trim();
+  if (!isUnset(field('model'))) request.model = String(field('model')).trim();
+
+  const subjects = imageUrls(field('subject'));
+  if (subjects.length === 1) request.subjectUrl = subjects[0];
+  if (subjects.length > 1) request.subjectUrls = subjects;
+  const references = imageUrls(field('references'));
+  if (references.length > 0) request.referenceUrls = references;
+
+  const sizeErrors = [];
+  if (!isUnset(field('size'))) {
+    const match = /^\s*(\d+)\s*[x×*]\s*(\d+)\s*$/i.exec(String(field('size')));
+    if (match) {
+      request.width = Number(match[1]);
+      request.height = Number(match[2]);
+    } else {
+      sizeErrors.push(`${INTAKE_FIELDS.size} must look like 1024x1024, got: ${field('size')}`);
+    }
+  } else {
+    for (const key of ['width', 'height']) {
+      const size = integerField(field(key));
+      if (Number.isNaN(size)) sizeErrors.push(`${INTAKE_FIELDS[key]} must be a whole number`);
+      else if (size !== undefined) request[key] = size;
+    }
+  }
+  errors.push(...sizeErrors);
+
+  const count = integerField(field('count'));
+  if (Number.isNaN(count)) errors.push(`${INTAKE_FIELDS.count} must be a whole number`);
+  else if (count !== undefined) request.batchCount = count;
+
+  if (!request.preset) {
+    if (!request.prompt) errors.push(`${INTAKE_FIELDS.prompt} is empty`);
+    if ((!request.width || !request.height) && sizeErrors.length === 0) {
+      errors.push(`${INTAKE_FIELDS.size} is empty (e.g. 1024x1024)`);
+    }
+    if (count === undefined) errors.push(`${INTAKE_FIELDS.count} is empty`);
+  }
+
+  return { request, errors };
+}
+
+export function createAirtableIntake({
+  baseUrl,
+  token,
+  table,
+  view = null,
+  queue,
+  omitFields = [],
+  start,
+  newRunId = () => crypto.randomBytes(8).toString('hex'),
+  intervalMs = 30000,
+  claimSettleMs = 2000,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  onResponse = () => {},
+  onRow = () => {},
+  fetchImpl = fetch
+}) {
+  const tableUrl = `${baseUrl}/${encodeURIComponent(table)}`;
+  let timer = null;
+  let stopped = true;
+  let pausedUntil = 0;
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  /**
+   * GET from Airtable; errors carry `status` (null for network errors)
+   */
+  async function read(operation, url) {
+    let response = null;
+    let errorText;
+    try {
+      response = await fetchImpl(url, { headers: { 'Authorization': `Bearer ${token}` } });
+      if (response.ok) {
+        onResponse({ operation, ok: true, status: response.status });
+        return response.json();
+      }
+      errorText = await response.text();
+    } catch (error) {
+      errorText = error.message;
+    }
+
+    const status = response ? response.status : null;
+    onResponse({ operation, ok: false, status, error: errorText });
+    if (status === 429) {
+      const retryAfter = parseInt(response.headers.get('retry-after') || '0') * 1000;
+      pausedUntil = Date.now() + Math.max(retryAfter, RATE_LIMIT_PAUSE_MS);
+      console.warn(`[Airtable Intake] Rate limited, pausing ${Math.round((pausedUntil - Date.now()) / 1000)}s`);
+    }
+    const error = new Error(`Airtable ${operation} error (${status || 'network'}): ${errorText}`);
+    error.status = status;
+    throw error;
+  }
+
+  /**
+   * Read until it works (or the worker stops): a claimed row must not be left unconfirmed
+   */
+  async function readWithRetries(operation, url) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await read(operation, url);
+      } catch (error) {
+        if (stopped || (error.status && error.status !== 429 && error.status < 500)) throw error;
+        const delay = Math.max(pausedUntil - Date.now(), retryDelayMs(Math.min(attempt, 10), baseDelayMs, maxDelayMs));
+        console.warn(`[Airtable Intake] ${error.message}, retrying in ${Math.round(delay / 1000)}s`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function listQueued() {
+    const rows = [];
+    let offset = null;
+    do {
+      const params = new URLSearchParams({ filterByFormula: `LOWER({${INTAKE_FIELDS.status}}) = 'queued'`, pageSize: '100' });
+      if (view) params.set('view', view);
+      if (offset) params.set('offset', offset);
+      const page = await read('list', `${tableUrl}?${params}`);
+      rows.push(...(page.records || []));
+      offset = page.offset || null;
+    } while (offset);
+    return rows;
+  }
+
+  /**
+   * Mark a row as not started, with the reasons in Failure Reasons
+   */
+  function markRow(recordId, status, reasons) {
+    const fields = { [INTAKE_FIELDS.status]: status, 'Last Update': new Date().toISOString() };
+    if (!omitFields.includes('Failure Reasons')) fields['Failure Reasons'] = reasons.join('\n');
+    queue.update(table, recordId, fields, { final: true }).catch(error => {
+      console.error(`[Airtable Intake] Row ${recordId}: could not be marked ${status}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Claim a row for this worker; false when another worker got it (or it is gone)
+   */
+  async function claim(recordId, runId) {
+    await queue.update(table, recordId, {
+      [INTAKE_FIELDS.status]: 'processing',
+      [INTAKE_FIELDS.runId]: runId,
+      'Last Update': new Date().toISOString()
+    });
+    // Let a competing claim land before checking whose it is
+    await sleep(claimSettleMs);
+    try {
+      const record = await readWithRetries('read', `${tableUrl}/${encodeURIComponent(recordId)}`);
+      return record.fields[INTAKE_FIELDS.runId] === runId;
+    } catch (error) {
+      if (error.status === 404) return false;
+      throw error;
+    }
+  }
+
+  async function handleRow(record) {
+    const runId = newRunId();
+    if (!(await claim(record.id, runId))) {
+      console.warn(`[Airtable Intake] Row ${record.id}: claimed by another worker, skipping`);
+      return 'conflict';
+    }
+
+    const { request, errors } = parseIntakeRow(record.fields);
+    if (errors.length > 0) {
+      console.warn(`[Airtable Intake] Row ${record.id}: invalid fields: ${errors.join('; ')}`);
+      markRow(record.id, 'invalid', errors);
+      return 'invalid';
+    }
+
+    let result;
+    try {
+      result = await start({ recordId: record.id, runId, request });
+    } catch (error) {
+      console.error(`[Airtable Intake] Row ${record.id}: run ${runId} could not be started:`, error);
+      result = { status: 'failed', reasons: [error.message] };
+    }
+    if (!result.status) {
+      console.log(`[Airtable Intake] Row ${record.id}: started run ${runId}`);
+      return 'started';
+    }
+    console.warn(`[Airtable Intake] Row ${record.id}: ${result.status}: ${result.reasons.join('; ')}`);
+    markRow(record.id, result.status, result.reasons);
+    return result.status === 'invalid' ? 'invalid' : 'failed';
+  }
+
+  async function poll() {
+    let rows;
+    try {
+      rows = await listQueued();
+    } catch (error) {
+      console.warn(`[Airtable Intake] Listing queued rows failed: ${error.message}`);
+      return;
+    }
+
+    for (const record of rows) {
+      if (stopped) return;
+      if (pausedUntil > Date.now()) await sleep(pausedUntil - Date.now());
+      let outcome;
+      try {
+        outcome = await handleRow(record);
+      } catch (error) {
+        console.error(`[Airtable Intake] Row ${record.id}: ${error.message}`);
+        outcome = 'error';
+      }
+      onRow({ recordId: record.id, outcome });
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      timer = null;
+      await poll();
+      schedule(Math.max(intervalMs, pausedUntil - Date.now()));
+    }, delay);
+    // The server keeps the process alive; the intake alone should not
+    timer.unref();
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      console.log(`[Airtable Intake] Watching ${table}${view ? ` (view ${view})` : ''} for queued rows every ${Math.round(intervalMs / 1000)}s`);
+      schedule(0);
+    },
+
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,269 @@
+import fetch from 'node-fetch';
+import { retryDelayMs } from './retry.mjs';
+
+/**
+ * Write queue for one Airtable base.
+ *
+ *   - requests start at most `ratePerSecond` times per second (Airtable allows 5 per base)
+ *   - updates of a record that are still waiting are merged into one write, and only one
+ *     write per record is in flight: later updates wait for it, so they always land last
+ *   - creates / updates of the same table are sent up to `maxBatchSize` (10) records per request
+ *   - 429, 5xx and network errors are retried with backoff; a 429 pauses the whole
+ *     queue for 30 seconds, as Airtable asks; a retried update drops fields a newer write
+ *     of the record has already landed
+ *   - a 422 on a multi-record request is retried record by record, so one bad
+ *     record does not fail its neighbours
+ *   - writes enqueued with { final: true } are retried until they land
+ *
+ * create(table, fields, options) -> Promise<recordId>
+ * update(table, recordId, fields, options) -> Promise<void>
+ * Rejected errors carry `status` (when Airtable answered) and `retried: true`.
+ *
+ * onResponse({ table, operation, records, ok, status, error }) is called after every request.
+ * fetchImpl replaces node-fetch, e.g. with the offline fake from lib/mock-providers.mjs.
+ */
+
+const RATE_LIMIT_PAUSE_MS = 30000;
+
+function isRetryable(status) {
+  return !status || status === 429 || status >= 500;
+}
+
+export function createAirtableWriteQueue({
+  baseUrl,
+  token,
+  ratePerSecond = 5,
+  maxBatchSize = 10,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  onResponse = () => {},
+  fetchImpl = fetch
+}) {
+  const queue = []; // { table, method, recordId?, fields, versions?, waiters, attempts, final, solo, notBefore }
+  const queuedUpdates = new Map(); // `${table}/${recordId}` -> queued (not yet sent) update item
+  const sendingRecords = new Set(); // `${table}/${recordId}` of updates in flight
+  const landedVersions = new Map(); // `${table}/${recordId}` -> { field: version } written by Airtable
+  let nextVersion = 1;
+  const intervalMs = 1000 / ratePerSecond;
+  let nextStartAt = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  let inFlight = 0;
+
+  function updateKey(item) {
+    return `${item.table}/${item.recordId}`;
+  }
+
+  /**
+   * Put an update back in the queue, merging it under any newer update of the same record
+   */
+  function requeue(item) {
+    if (item.method === 'PATCH') {
+      // A newer write of the same field has landed meanwhile; this value is stale
+      const landed = landedVersions.get(updateKey(item)) || {};
+      for (const field of Object.keys(item.fields)) {
+        if ((landed[field] || 0) > item.versions[field]) {
+          delete item.fields[field];
+          delete item.versions[field];
+        }
+      }
+      const newer = queuedUpdates.get(updateKey(item));
+      if (newer) {
+        newer.fields = { ...item.fields, ...newer.fields };
+        newer.versions = { ...item.versions, ...newer.versions };
+        newer.waiters.push(...item.waiters);
+        newer.final = newer.final || item.final;
+        newer.attempts = Math.max(newer.attempts, item.attempts);
+        return;
+      }
+      if (Object.keys(item.fields).length === 0) {
+        for (const waiter of item.waiters) waiter.resolve(undefined);
+        return;
+      }
+      queuedUpdates.set(updateKey(item), item);
+    }
+    queue.push(item);
+  }
+
+  /**
+   * Whether an item may go out now: its backoff is over and no write of its record is in flight
+   */
+  function isReady(item, now) {
+    return item.notBefore <= now && !(item.method === 'PATCH' && sendingRecords.has(updateKey(item)));
+  }
+
+  // Wake up when a 429 pause ends; nothing is sent before that
+  function waitForPause(now) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, pausedUntil - now);
+  }
+
+  function schedule() {
+    if (timer || queue.length === 0) return;
+    const now = Date.now();
+    if (pausedUntil > now) return waitForPause(now);
+    const waiting = queue.filter(item => isReady(item, Infinity));
+    // Everything left waits for a write in flight; its completion schedules again
+    if (waiting.length === 0) return;
+    const earliestReady = Math.min(...waiting.map(item => item.notBefore));
+    const wait = Math.max(0, nextStartAt - now, earliestReady - now);
+    timer = setTimeout(run, wait);
+  }
+
+  function run() {
+    timer = null;
+    const now = Date.now();
+    if (pausedUntil > now) return waitForPause(now);
+    const first = queue.find(item => isReady(item, now));
+    if (!first) return schedule();
+
+    // Batch ready items of the same table and method (solo items go alone)
+    const batch = first.solo
+      ? [first]
+      : queue.filter(item =>
+        isReady(item, now) && !item.solo && item.table === first.table && item.method === first.method
+      ).slice(0, maxBatchSize);
+
+    for (const item of batch) {
+      queue.splice(queue.indexOf(item), 1);
+      if (item.method === 'PATCH') {
+        queuedUpdates.delete(updateKey(item));
+        sendingRecords.add(updateKey(item));
+      }
+    }
+
+    nextStartAt = now + intervalMs;
+    inFlight++;
+    send(batch).finally(() => {
+      inFlight--;
+      for (const item of batch) {
+        if (item.method === 'PATCH') sendingRecords.delete(updateKey(item));
+      }
+      schedule();
+    });
+    schedule();
+  }
+
+  /**
+   * Remember which field versions of a record Airtable now has, while later writes may need to know
+   */
+  function recordLanded(item) {
+    const key = updateKey(item);
+    if (!queuedUpdates.has(key)) {
+      landedVersions.delete(key);
+      return;
+    }
+    const landed = landedVersions.get(key) || {};
+    for (const [field, version] of Object.entries(item.versions)) {
+      landed[field] = Math.max(landed[field] || 0, version);
+    }
+    landedVersions.set(key, landed);
+  }
+
+  async function send(batch) {
+    const { table, method } = batch[0];
+    let response;
+    let errorText;
+    try {
+      response = await fetchImpl(`${baseUrl}/${encodeURIComponent(table)}`, {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          records: batch.map(item => method === 'POST' ? { fields: item.fields } : { id: item.recordId, fields: item.fields }),
+          typecast: true
+        })
+      });
+      if (response.ok) {
+        const result = await response.json();
+        onResponse({ table, operation: method === 'POST' ? 'create' : 'update', records: batch.length, ok: true, status: response.status });
+        batch.forEach((item, index) => {
+          if (method === 'PATCH') recordLanded(item);
+          const recordId = result.records && result.records[index] ? result.records[index].id : undefined;
+          for (const waiter of item.waiters) waiter.resolve(method === 'POST' ? recordId : undefined);
+        });
+        return;
+      }
+      errorText = await response.text();
+    } catch (error) {
+      errorText = error.message;
+    }
+
+    const status = response ? response.status : null;
+    const operation = method === 'POST' ? 'create' : 'update';
+    onResponse({ table, operation, records: batch.length, ok: false, status, error: errorText });
+
+    if (status === 422 && batch.length > 1) {
+      console.warn(`[Airtable Queue] ${table}: ${operation} of ${batch.length} records rejected (422), retrying one by one`);
+      for (const item of batch) requeue({ ...item, solo: true, notBefore: Date.now() });
+      return;
+    }
+
+    if (status === 429) {
+      pausedUntil = Date.now() + RATE_LIMIT_PAUSE_MS;
+      // Drop the timer armed for the next request; schedule() waits out the pause instead
+      if (timer) clearTimeout(timer);
+      timer = null;
+      console.warn(`[Airtable Queue] Rate limited, pausing ${RATE_LIMIT_PAUSE_MS / 1000}s`);
+    }
+
+    for (const item of batch) {
+      item.attempts++;
+      if (isRetryable(status) && (item.final || item.attempts < maxAttempts)) {
+        const delay = retryDelayMs(Math.min(item.attempts, 10), baseDelayMs, maxDelayMs);
+        console.warn(`[Airtable Queue] ${table}: ${operation} failed (${status || errorText}), attempt ${item.attempts}, retrying in ${Math.round(delay / 1000)}s`);
+        requeue({ ...item, notBefore: Date.now() + delay });
+        continue;
+      }
+
+      const error = new Error(`Airtable ${operation} error (${status || 'network'}): ${errorText}`);
+      error.status = status;
+      error.retried = true;
+      error.attempts = item.attempts;
+      for (const waiter of item.waiters) waiter.reject(error);
+    }
+  }
+
+  function enqueue(item) {
+    return new Promise((resolve, reject) => {
+      item.waiters.push({ resolve, reject });
+      if (item.method === 'PATCH') {
+        const queued = queuedUpdates.get(updateKey(item));
+        if (queued) {
+          // Coalesce with the update that is still waiting
+          Object.assign(queued.fields, item.fields);
+          Object.assign(queued.versions, item.versions);
+          queued.waiters.push(...item.waiters);
+          queued.final = queued.final || item.final;
+          return;
+        }
+        queuedUpdates.set(updateKey(item), item);
+      }
+      queue.push(item);
+      schedule();
+    });
+  }
+
+  return {
+    create(table, fields, { final = false } = {}) {
+      return enqueue({ table, method: 'POST', fields: { ...fields }, waiters: [], attempts: 0, final, solo: false, notBefore: 0 });
+    },
+
+    update(table, recordId, fields, { final = false } = {}) {
+      const version = nextVersion++;
+      const versions = Object.fromEntries(Object.keys(fields).map(field => [field, version]));
+      return enqueue({ table, method: 'PATCH', recordId, fields: { ...fields }, versions, waiters: [], attempts: 0, final, solo: false, notBefore: 0 });
+    },
+
+    stats() {
+      return {
+        queued: queue.length,
+        inFlight,
+        pausedForMs: Math.max(0, pausedUntil - Date.now())
+      };
+    }
+  };
+}
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Users, API keys and UI sessions.
+ *
+ * Users come from a JSON file (USERS_FILE):
+ *   [{ "id": "anna", "name": "Anna", "role": "admin" | "user",
+ *      "apiKeys": ["..."], "passwordHash": "scrypt$<salt>$<hash>",
+ *      "quotas": { "runsPerDay": 20, "imagesPerRun": 40, "concurrentRuns": 2 } }]
+ *
+ * API keys are sent as `Authorization: Bearer <key>` or `X-API-Key`; the UI signs in with
+ * id + password and gets an HMAC-signed session cookie. Quotas missing on a user fall back
+ * to the defaults; 0 means no limit.
+ */
+
+export const ROLES = ['admin', 'user'];
+export const SESSION_COOKIE = 'wsb_session';
+
+const QUOTA_NAMES = ['runsPerDay', 'imagesPerRun', 'concurrentRuns'];
+
+/**
+ * scrypt hash of a password, in the format stored as passwordHash
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Parse and validate the users file
+ */
+export function loadUsers(filePath, defaultQuotas) {
+  const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(users)) {
+    throw new Error(`${filePath} must contain an array of users`);
+  }
+
+  const ids = new Set();
+  return users.map((user, index) => {
+    if (!user.id || typeof user.id !== 'string') throw new Error(`User ${index + 1} in ${filePath} has no id`);
+    if (ids.has(user.id)) throw new Error(`Duplicate user id in ${filePath}: ${user.id}`);
+    ids.add(user.id);
+    const role = user.role || 'user';
+    if (!ROLES.includes(role)) throw new Error(`User ${user.id}: role must be one of ${ROLES.join(', ')}`);
+
+    const quotas = { ...defaultQuotas };
+    for (const name of QUOTA_NAMES) {
+      if (user.quotas && user.quotas[name] !== undefined) {
+        const value = Number(user.quotas[name]);
+        if (!Number.isInteger(value) || value < 0) throw new Error(`User ${user.id}: quotas.${name} must be a non-negative integer`);
+        quotas[name] = value;
+      }
+    }
+
+    return {
+      id: user.id,
+      name: user.name || user.id,
+      role,
+      quotas,
+      apiKeyHashes: (user.apiKeys || []).map(sha256),
+      passwordHash: user.passwordHash || null
+    };
+  });
+}
+
+/**
+ * Parse a Cookie header into { name: value }
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+    } catch {
+      // Malformed escapes in someone else's cookie must not break the request
+      cookies[part.slice(0, index).trim()] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Only same-site paths are followed after login; anything else becomes /app
+ */
+export function safeRedirectPath(value) {
+  // Browsers read `/\host` as `//host`, so backslashes (and control characters) are refused outright
+  if (typeof value !== 'string' || !value.startsWith('/') || /[\\\x00-\x1f]/.test(value)) return '/app';
+  const base = 'http://same-origin.invalid';
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    return '/app';
+  }
+  return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/app';
+}
+
+export function createAuth({ users, sessionSecret, sessionTtlMs }) {
+  const byId = new Map(users.map(user => [user.id, user]));
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('hex');
+  }
+
+  return {
+    users,
+
+    getUser(id) {
+      return byId.get(id) || null;
+    },
+
+    /**
+     * User owning an API key, or null
+     */
+    authenticateKey(key) {
+      if (!key) return null;
+      const hash = sha256(key);
+      return users.find(user => user.apiKeyHashes.some(known => crypto.timingSafeEqual(known, hash))) || null;
+    },
+
+    /**
+     * User matching an id + password, or null
+     */
+    authenticatePassword(id, password) {
+      const user = byId.get(id);
+      if (!user || !user.passwordHash || !password) return null;
+      return verifyPassword(password, user.passwordHash) ? user : null;
+    },
+
+    /**
+     * Signed session cookie value `<userId>.<expiresAt>.<hmac>`
+     */
+    createSession(user) {
+      const payload = `${encodeURIComponent(user.id)}.${Date.now() + sessionTtlMs}`;
+      return `${payload}.${sign(payload)}`;
+    },
+
+    /**
+     * User of a session cookie value, or null if it is forged, expired or the user is gone
+     */
+    verifySession(value) {
+      const parts = String(value || '').split('.');
+      if (parts.length !== 3) return null;
+      const [id, expiresAt, signature] = parts;
+      const expected = Buffer.from(sign(`${id}.${expiresAt}`));
+      const actual = Buffer.from(signature);
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+      if (Number(expiresAt) < Date.now()) return null;
+      return byId.get(decodeURIComponent(id)) || null;
+    }
+  };
+}
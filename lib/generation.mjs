@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+/**
+ * Generation parameters shared by every task of a run, and per-task seeds.
+ * Which parameters exist, and their ranges, depends on the model (lib/models.mjs).
+ *
+ * Seed strategies:
+ *   - random:     a fresh random seed per task (the default)
+ *   - fixed:      every task uses `seed`
+ *   - sequential: task N (0-based, across the whole batch) uses `seed + N`
+ *
+ * The effective seed is fixed when the task is built, so retries of a task
+ * reuse its seed.
+ */
+
+export const SEED_STRATEGIES = ['random', 'fixed', 'sequential'];
+export const MAX_SEED = 2147483647;
+
+const isUnset = value => value === undefined || value === null || value === '';
+
+/**
+ * Default values of a model's parameters (see lib/models.mjs)
+ */
+export function defaultParams(model) {
+  return Object.fromEntries(Object.entries(model.params).map(([name, schema]) => [name, schema.default]));
+}
+
+/**
+ * Validate the generation fields of a batch request body against a model's param schema.
+ * Returns { params: { ...model params, seedStrategy, seed }, errors }.
+ */
+export function validateGenerationParams(body, model) {
+  const errors = [];
+  const params = { ...defaultParams(model), seedStrategy: 'random', seed: null };
+
+  for (const [name, schema] of Object.entries(model.params)) {
+    const value = body[name];
+    if (isUnset(value)) continue;
+
+    if (schema.type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`${name} must be a string`);
+      } else {
+        params[name] = value.trim();
+      }
+      continue;
+    }
+
+    const number = Number(value);
+    const valid = schema.type === 'integer' ? Number.isInteger(number) : Number.isFinite(number);
+    if (!valid || number < schema.min || number > schema.max) {
+      errors.push(`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'} between ${schema.min} and ${schema.max}`);
+    } else {
+      params[name] = number;
+    }
+  }
+
+  if (!isUnset(body.seedStrategy)) {
+    if (!SEED_STRATEGIES.includes(body.seedStrategy)) {
+      errors.push(`seedStrategy must be one of: ${SEED_STRATEGIES.join(', ')}`);
+    } else {
+      params.seedStrategy = body.seedStrategy;
+    }
+  } else if (!isUnset(body.seed)) {
+    // A bare seed means "use this seed"
+    params.seedStrategy = 'fixed';
+  }
+
+  if (!isUnset(body.seed)) {
+    const seed = Number(body.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      errors.push(`seed must be an integer between 0 and ${MAX_SEED}`);
+    } else {
+      params.seed = seed;
+    }
+  } else if (params.seedStrategy !== 'random') {
+    errors.push(`seed is required for the ${params.seedStrategy} seed strategy`);
+  }
+
+  return { params, errors };
+}
+
+/**
+ * Model parameters of a run without the seed settings
+ */
+export function modelParams(params) {
+  const { seedStrategy, seed, ...rest } = params;
+  return rest;
+}
+
+/**
+ * Effective seed of the task at `index` (0-based across the batch)
+ */
+export function seedForTask(params, index) {
+  if (params.seedStrategy === 'fixed') return params.seed;
+  if (params.seedStrategy === 'sequential') return (params.seed + index) % (MAX_SEED + 1);
+  return crypto.randomInt(0, MAX_SEED);
+}
+
+/**
+ * One-line description of a run's parameters, e.g. for Airtable
+ */
+export function describeGenerationParams(params) {
+  const parts = Object.entries(modelParams(params))
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([name, value]) => typeof value === 'string' ? `${name}="${value}"` : `${name}=${value}`);
+  if (params.seedStrategy === 'fixed') parts.push(`seed=${params.seed}`);
+  else if (params.seedStrategy === 'sequential') parts.push(`seed=sequential from ${params.seed}`);
+  else parts.push('seed=random');
+  return parts.join(', ');
+}
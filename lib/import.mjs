@@ -0,0 +1,150 @@
+/**
+ * Parsing for bulk batch imports (CSV or JSONL, one batch per row).
+ */
+
+// Accepted CSV header spellings, normalized (lowercase, no spaces/underscores/dashes)
+const COLUMN_ALIASES = {
+  preset: 'preset',
+  model: 'model',
+  prompt: 'prompt',
+  subject: 'subjectUrl',
+  subjecturl: 'subjectUrl',
+  subjectimageurl: 'subjectUrl',
+  references: 'referenceUrls',
+  referenceurls: 'referenceUrls',
+  referenceimageurls: 'referenceUrls',
+  width: 'width',
+  height: 'height',
+  size: 'size',
+  count: 'batchCount',
+  batchcount: 'batchCount',
+  steps: 'steps',
+  numinferencesteps: 'steps',
+  guidance: 'guidance',
+  guidancescale: 'guidance',
+  negative: 'negativePrompt',
+  negativeprompt: 'negativePrompt',
+  seed: 'seed',
+  seedstrategy: 'seedStrategy'
+};
+
+/**
+ * Parse CSV text into an array of string arrays (RFC 4180 quoting)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Turn a CSV/JSONL record into an /api/batch request body
+ */
+export function recordToBatchRequest(record) {
+  const body = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    const normalized = key.toLowerCase().replace(/[\s_-]/g, '');
+    const field = COLUMN_ALIASES[normalized] || key;
+    body[field] = typeof value === 'string' ? value.trim() : value;
+  }
+
+  // "1024x1024" as a shorthand for width/height
+  if (body.size && !body.width && !body.height) {
+    const match = String(body.size).match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+    if (match) {
+      body.width = match[1];
+      body.height = match[2];
+    }
+  }
+  delete body.size;
+
+  // A spreadsheet cell holds several reference URLs separated by whitespace, commas, ; or |
+  if (typeof body.referenceUrls === 'string') {
+    body.referenceUrls = body.referenceUrls.split(/[\s,;|]+/).filter(url => url.length > 0);
+  }
+
+  return body;
+}
+
+/**
+ * Parse an import file into rows: [{ row, body }] or [{ row, error }].
+ * Row numbers are 1-based data rows (the CSV header is not counted).
+ */
+export function parseImportFile(text, format) {
+  if (format === 'jsonl') {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line, row: index + 1 }))
+      .filter(({ line }) => line.trim() !== '')
+      .map(({ line, row }) => {
+        try {
+          const record = JSON.parse(line);
+          if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+            return { row, error: 'Line is not a JSON object' };
+          }
+          return { row, body: recordToBatchRequest(record) };
+        } catch (error) {
+          return { row, error: `Invalid JSON: ${error.message}` };
+        }
+      });
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+
+  return records.map((cells, index) => {
+    const record = {};
+    header.forEach((name, column) => {
+      if (cells[column] !== undefined && cells[column] !== '') record[name.trim()] = cells[column];
+    });
+    return { row: index + 1, body: recordToBatchRequest(record) };
+  });
+}
+
+/**
+ * Guess the import format from a content type or file name
+ */
+export function detectImportFormat(contentType = '', fileName = '') {
+  if (/ndjson|jsonl|json/i.test(contentType) || /\.(jsonl|ndjson)$/i.test(fileName)) {
+    return 'jsonl';
+  }
+  return 'csv';
+}
@@ -0,0 +1,146 @@
+import sharp from 'sharp';
+
+/**
+ * Input image preparation: everything between "a subject/reference image"
+ * and "a base64 data URL WaveSpeed will accept".
+ *
+ *   - the format is detected from magic bytes, never from the content-type
+ *   - only JPEG, PNG and WebP are accepted
+ *   - EXIF orientation is applied to the pixels, then all metadata is dropped
+ *   - images above maxPixels are downscaled, images above maxBytes re-encoded
+ *
+ * Failures throw InputImageError with a message fit to show to the user.
+ */
+
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Quality steps tried (in order) when an image is still above maxBytes
+const QUALITY_STEPS = [85, 75, 65];
+const MAX_SHRINK_ROUNDS = 4;
+
+export class InputImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputImageError';
+  }
+}
+
+/**
+ * Detect an image format from its first bytes.
+ * Returns 'jpeg' | 'png' | 'webp' | 'gif' | 'bmp' | 'tiff' | 'heic' | 'avif' | null.
+ */
+export function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+  if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'tiff';
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+/**
+ * Content type for a supported format, or null
+ */
+export function contentTypeForFormat(format) {
+  return CONTENT_TYPES[format] || null;
+}
+
+/**
+ * Normalize one input image.
+ *
+ * Returns { buffer, format, contentType, width, height, originalWidth, originalHeight, changed }.
+ * Images that are already within limits and carry no metadata are returned as-is.
+ */
+export async function normalizeInputImage(input, { maxPixels, maxBytes }) {
+  const format = detectImageFormat(input);
+  if (!format) {
+    throw new InputImageError('Not a recognizable image (expected JPEG, PNG or WebP)');
+  }
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    throw new InputImageError(`Unsupported image format: ${format} (expected JPEG, PNG or WebP)`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw new InputImageError(`Corrupt or unreadable ${format} image: ${error.message}`);
+  }
+
+  // EXIF orientations 5-8 swap width and height once applied
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const hasMetadata = Boolean(metadata.exif || metadata.xmp || metadata.iptc || (metadata.orientation && metadata.orientation > 1));
+
+  const result = {
+    buffer: input,
+    format,
+    contentType: CONTENT_TYPES[format],
+    width,
+    height,
+    originalWidth: width,
+    originalHeight: height,
+    changed: false
+  };
+
+  if (!hasMetadata && width * height <= maxPixels && input.length <= maxBytes) {
+    return result;
+  }
+
+  let scale = Math.min(1, Math.sqrt(maxPixels / (width * height)));
+
+  try {
+    for (let round = 0; round < MAX_SHRINK_ROUNDS; round++) {
+      const targetWidth = Math.max(1, Math.floor(width * scale));
+      const targetHeight = Math.max(1, Math.floor(height * scale));
+
+      // First try the original format, then lossy steps (WebP keeps alpha, JPEG otherwise)
+      const lossyFormat = metadata.hasAlpha ? 'webp' : 'jpeg';
+      const attempts = [{ format, quality: 90 }, ...QUALITY_STEPS.map(quality => ({ format: lossyFormat, quality }))];
+
+      for (const attempt of attempts) {
+        const buffer = await encode(input, targetWidth, targetHeight, attempt);
+        if (buffer.length <= maxBytes) {
+          return {
+            ...result,
+            buffer,
+            format: attempt.format,
+            contentType: CONTENT_TYPES[attempt.format],
+            width: targetWidth,
+            height: targetHeight,
+            changed: true
+          };
+        }
+      }
+
+      scale *= 0.75;
+    }
+  } catch (error) {
+    throw new InputImageError(`Failed to re-encode ${format} image: ${error.message}`);
+  }
+
+  throw new InputImageError(`Image could not be reduced below ${maxBytes} bytes`);
+}
+
+async function encode(input, width, height, { format, quality }) {
+  // rotate() without arguments applies EXIF orientation; metadata is not copied to the output
+  const pipeline = sharp(input).rotate().resize(width, height, { fit: 'fill' });
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 }).toBuffer();
+  if (format === 'webp') return pipeline.webp({ quality }).toBuffer();
+  return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer();
+}
@@ -0,0 +1,95 @@
+/**
+ * Prompt matrix expansion: `{name}` placeholders in a prompt template are
+ * filled from value lists, optionally crossed with a list of subject URLs.
+ */
+
+const PLACEHOLDER_PATTERN = /\{([a-zA-Z0-9_]+)\}/g;
+
+/**
+ * Names of all placeholders used in a template, in order of first use
+ */
+export function findTemplateVariables(template) {
+  const names = [];
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Fill a template with one set of values
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    name in values ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Validate a template/variables pair; returns a list of error messages
+ */
+export function validateMatrix(template, variables = {}, subjectUrls = []) {
+  const errors = [];
+
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    return ['variables must be an object of value lists'];
+  }
+  if (!Array.isArray(subjectUrls)) {
+    return ['subjectUrls must be an array'];
+  }
+
+  for (const name of findTemplateVariables(template)) {
+    if (!(name in variables)) {
+      errors.push(`Prompt uses {${name}} but no values were given for it`);
+    }
+  }
+  for (const [name, values] of Object.entries(variables)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`Variable "${name}" must be a non-empty list`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Expand the cartesian product of all variables (and subject URLs, if given).
+ * Returns [{ prompt, subjectUrl, variables }]; subjectUrl is null when the
+ * subject axis is not used.
+ */
+export function expandMatrix(template, variables = {}, subjectUrls = []) {
+  let combinations = [{}];
+
+  for (const [name, values] of Object.entries(variables)) {
+    const next = [];
+    for (const combination of combinations) {
+      for (const value of values) {
+        next.push({ ...combination, [name]: value });
+      }
+    }
+    combinations = next;
+  }
+
+  const subjects = subjectUrls.length > 0 ? subjectUrls : [null];
+  const expanded = [];
+  for (const subjectUrl of subjects) {
+    for (const values of combinations) {
+      expanded.push({
+        prompt: renderTemplate(template, values),
+        subjectUrl,
+        variables: values
+      });
+    }
+  }
+
+  return expanded;
+}
+
+/**
+ * Number of combinations an expansion would produce, without building it
+ */
+export function countCombinations(variables = {}, subjectUrls = []) {
+  const variableCount = Object.values(variables)
+    .reduce((total, values) => total * (Array.isArray(values) ? values.length : 0), 1);
+  return variableCount * Math.max(subjectUrls.length, 1);
+}
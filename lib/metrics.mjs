@@ -0,0 +1,161 @@
+/**
+ * Prometheus metrics (text exposition format 0.0.4) and dependency health.
+ *
+ * createMetricsRegistry() keeps counters, histograms and gauges in memory:
+ *   counter({ name, help, labelNames }).inc(labels, value)
+ *   histogram({ name, help, labelNames, buckets }).observe(labels, value)
+ *   gauge({ name, help, collect })   collect() -> number | [{ labels, value }], read at scrape time
+ *   render() -> text for GET /metrics
+ *
+ * createDependencyHealth() remembers recent successes and failures of outside
+ * services (WaveSpeed, Airtable...) for the readiness check.
+ */
+
+const DEFAULT_BUCKETS = [5, 10, 20, 30, 45, 60, 90, 120, 180, 300, 600, 1200];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values, in labelNames order
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+  }
+
+  function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+  }
+
+  return {
+    counter({ name, help, labelNames = [] }) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      });
+      return {
+        inc(labels = {}, value = 1) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+          series.get(key).value += value;
+        }
+      };
+    },
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const series = new Map();
+      metrics.push({
+        name,
+        help,
+        type: 'histogram',
+        lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      });
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    gauge({ name, help, collect }) {
+      metrics.push({
+        name,
+        help,
+        type: 'gauge',
+        lines: () => {
+          const value = collect();
+          const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+          return samples.map(sample => `${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        }
+      });
+    },
+
+    render() {
+      return metrics
+        .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+        .join('\n') + '\n';
+    }
+  };
+}
+
+/**
+ * Recent outcomes of calls to outside services.
+ * A dependency is `failing` when its last call failed within `windowMs`.
+ */
+export function createDependencyHealth({ windowMs = 5 * 60 * 1000 } = {}) {
+  const dependencies = new Map();
+
+  function entry(name) {
+    if (!dependencies.has(name)) {
+      dependencies.set(name, { lastSuccessAt: null, lastFailureAt: null, lastError: null, failures: [] });
+    }
+    return dependencies.get(name);
+  }
+
+  return {
+    /**
+     * Make a dependency show up in reports before its first call
+     */
+    register(name) {
+      entry(name);
+    },
+
+    success(name) {
+      entry(name).lastSuccessAt = Date.now();
+    },
+
+    failure(name, error) {
+      const dependency = entry(name);
+      dependency.lastFailureAt = Date.now();
+      dependency.lastError = error instanceof Error ? error.message : String(error);
+      dependency.failures.push(dependency.lastFailureAt);
+    },
+
+    report() {
+      const now = Date.now();
+      return Object.fromEntries([...dependencies].map(([name, dependency]) => {
+        dependency.failures = dependency.failures.filter(time => now - time <= windowMs);
+        const failing = dependency.lastFailureAt !== null &&
+          now - dependency.lastFailureAt <= windowMs &&
+          (dependency.lastSuccessAt === null || dependency.lastFailureAt > dependency.lastSuccessAt);
+        return [name, {
+          status: failing ? 'failing' : dependency.lastSuccessAt ? 'ok' : 'unknown',
+          recentFailures: dependency.failures.length,
+          lastSuccessAt: dependency.lastSuccessAt,
+          lastFailureAt: dependency.lastFailureAt,
+          lastError: dependency.lastError
+        }];
+      }));
+    }
+  };
+}
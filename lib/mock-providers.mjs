@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import fetch, { Response } from 'node-fetch';
+import sharp from 'sharp';
+
+/**
+ * Offline stand-ins for WaveSpeed and Airtable (MOCK_MODE).
+ *
+ * Both are drop-in replacements for node-fetch that answer the requests the server makes,
+ * so submission, polling, retries and the Airtable write queue run their real code paths:
+ *
+ *   createMockWaveSpeed(options).fetch
+ *     POST <model endpoint>             -> { data: { id } }
+ *     GET  /predictions/{id}/result     -> { data: { id, status, output?, error? } }
+ *     POST /predictions/{id}/cancel
+ *   createMockAirtable(options).fetch
+ *     POST / PATCH /v0/{base}/{table}   -> { records: [{ id, createdTime, fields }] }
+ *     GET /v0/{base}/{table}            -> { records } (filterByFormula: `{Field} = 'value'`, optionally in LOWER())
+ *     GET /v0/{base}/{table}/{recordId} -> { id, createdTime, fields }
+ *
+ * Tasks finish after about `latencyMs` (±50%) with a placeholder PNG of the requested size,
+ * or fail with probability `failureRate`. Any request gets a 429 with probability `rateLimitRate`.
+ * With `webhooks`, WaveSpeed also posts the result to the payload's webhook URL,
+ * signed like WaveSpeed does when `webhookSecret` is set.
+ */
+
+function jsonResponse(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Filter for the one formula shape the server uses: {Field} = 'value', optionally in LOWER().
+ * Returns null for anything else.
+ */
+function formulaFilter(formula) {
+  const match = /^\s*(LOWER\()?\{([^}]+)\}\)?\s*=\s*'([^']*)'\s*$/i.exec(formula);
+  if (!match) return null;
+  const [, lower, field, value] = match;
+  return record => {
+    const current = String(record.fields[field] ?? '');
+    return (lower ? current.toLowerCase() : current) === value;
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * PNG with a colour picked from the prompt and seed, labelled with the size and prompt
+ */
+async function placeholderImage({ width, height, prompt, seed }) {
+  const hue = crypto.createHash('sha256').update(`${prompt}|${seed}`).digest().readUInt16BE(0) % 360;
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 16));
+  const label = prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <rect width="100%" height="100%" fill="hsl(${hue}, 45%, 55%)"/>
+  <text x="50%" y="45%" text-anchor="middle" font-family="sans-serif" font-size="${Math.round(fontSize * 1.5)}" fill="#fff">MOCK ${width}×${height}</text>
+  <text x="50%" y="60%" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="#fff">${escapeXml(label)}</text>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Requested output size from any model's payload (`width`/`height` or `size: 'W*H'`)
+ */
+function payloadSize(payload) {
+  if (payload.width && payload.height) return { width: parseInt(payload.width), height: parseInt(payload.height) };
+  const match = /^(\d+)\*(\d+)$/.exec(payload.size || '');
+  return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : { width: 1024, height: 1024 };
+}
+
+export function createMockWaveSpeed({
+  latencyMs = 3000,
+  failureRate = 0,
+  rateLimitRate = 0,
+  webhooks = false,
+  webhookSecret = null
+} = {}) {
+  const predictions = new Map(); // id -> { id, status, readyAt, fails, payload, output, error, settling }
+
+  // Polling and the webhook timer may both get here first; the image is made once
+  function settle(prediction) {
+    if (prediction.status === 'cancelled') return Promise.resolve();
+    prediction.settling = prediction.settling || finish(prediction);
+    return prediction.settling;
+  }
+
+  async function finish(prediction) {
+    if (prediction.fails) {
+      prediction.status = 'failed';
+      prediction.error = 'Mock failure (MOCK_FAILURE_RATE)';
+      return;
+    }
+    const { width, height } = payloadSize(prediction.payload);
+    const image = await placeholderImage({
+      width,
+      height,
+      prompt: prediction.payload.prompt || '',
+      seed: prediction.payload.seed ?? prediction.id
+    });
+    prediction.output = [`data:image/png;base64,${image.toString('base64')}`];
+    prediction.status = 'completed';
+  }
+
+  async function sendWebhook(prediction) {
+    const body = JSON.stringify({
+      id: prediction.id,
+      status: prediction.status,
+      ...(prediction.output ? { output: prediction.output } : {}),
+      ...(prediction.error ? { error: prediction.error } : {})
+    });
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhookSecret) {
+      const webhookId = `msg_${crypto.randomBytes(8).toString('hex')}`;
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signature = crypto
+        .createHmac('sha256', webhookSecret.replace(/^whsec_/, ''))
+        .update(`${webhookId}.${timestamp}.${body}`)
+        .digest('hex');
+      Object.assign(headers, {
+        'webhook-id': webhookId,
+        'webhook-timestamp': String(timestamp),
+        'webhook-signature': `v1,${signature}`
+      });
+    }
+    try {
+      const response = await fetch(prediction.payload.webhook, { method: 'POST', headers, body });
+      console.log(`[Mock WaveSpeed] Webhook for ${prediction.id}: ${response.status}`);
+    } catch (error) {
+      console.warn(`[Mock WaveSpeed] Webhook for ${prediction.id} failed: ${error.message}`);
+    }
+  }
+
+  function submit(payload) {
+    const id = `mock-${crypto.randomBytes(8).toString('hex')}`;
+    const prediction = {
+      id,
+      status: 'created',
+      readyAt: Date.now() + Math.round(latencyMs * (0.5 + Math.random())),
+      fails: Math.random() < failureRate,
+      payload
+    };
+    predictions.set(id, prediction);
+
+    if (webhooks && payload.webhook) {
+      setTimeout(async () => {
+        if (prediction.status === 'cancelled') return;
+        await settle(prediction);
+        await sendWebhook(prediction);
+      }, prediction.readyAt - Date.now());
+    }
+    return jsonResponse(200, { code: 200, data: { id, status: 'created' } });
+  }
+
+  async function result(id) {
+    const prediction = predictions.get(id);
+    if (!prediction) return jsonResponse(404, { code: 404, message: `Prediction not found: ${id}` });
+    if (Date.now() >= prediction.readyAt) {
+      await settle(prediction);
+    } else if (prediction.status === 'created') {
+      prediction.status = 'processing';
+    }
+    return jsonResponse(200, {
+      code: 200,
+      data: {
+        id,
+        status: prediction.status,
+        output: prediction.output || [],
+        error: prediction.error || ''
+      }
+    });
+  }
+
+  return {
+    predictions,
+
+    async fetch(url, options = {}) {
+      await delay(Math.min(200, latencyMs / 20));
+      if (Math.random() < rateLimitRate) {
+        return jsonResponse(429, { code: 429, message: 'Mock rate limit (MOCK_RATE_LIMIT_RATE)' }, { 'Retry-After': '1' });
+      }
+
+      const { pathname } = new URL(url);
+      const match = /\/predictions\/([^/]+)\/(result|cancel)$/.exec(pathname);
+      if (match && match[2] === 'result') return result(match[1]);
+      if (match) {
+        const prediction = predictions.get(match[1]);
+        if (!prediction) return jsonResponse(404, { code: 404, message: `Prediction not found: ${match[1]}` });
+        if (prediction.status !== 'completed' && prediction.status !== 'failed') prediction.status = 'cancelled';
+        return jsonResponse(200, { code: 200, data: { id: prediction.id, status: prediction.status } });
+      }
+      if ((options.method || 'GET') === 'POST') return submit(JSON.parse(options.body));
+      return jsonResponse(404, { code: 404, message: `Unknown mock WaveSpeed endpoint: ${pathname}` });
+    }
+  };
+}
+
+export function createMockAirtable({ latencyMs = 50, failureRate = 0, rateLimitRate = 0 } = {}) {
+  const tables = new Map(); // table -> Map(recordId -> { id, createdTime, fields })
+
+  function tableRecords(name) {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  }
+
+  return {
+    /**
+     * Records written so far, for inspection
+     */
+    list(table) {
+      return [...tableRecords(table).values()];
+    },
+
+    async fetch(url, options = {}) {
+      await delay(latencyMs);
+      if (Math.random() < rateLimitRate) {
+        return jsonResponse(429, { errors: [{ error: 'RATE_LIMIT_REACHED', message: 'Mock rate limit' }] });
+      }
+      if (Math.random() < failureRate) {
+        return jsonResponse(503, { error: { type: 'SERVICE_UNAVAILABLE', message: 'Mock failure (MOCK_AIRTABLE_FAILURE_RATE)' } });
+      }
+
+      const { pathname, searchParams } = new URL(url);
+      // /v0/{base}/{table}[/{recordId}]
+      const [table, recordId] = pathname.split('/').slice(3).map(decodeURIComponent);
+      const records = tableRecords(table);
+      const body = JSON.parse(options.body || '{}');
+
+      if ((options.method || 'GET') === 'GET') {
+        if (recordId) {
+          if (!records.has(recordId)) return jsonResponse(404, { error: 'NOT_FOUND' });
+          return jsonResponse(200, records.get(recordId));
+        }
+        const formula = searchParams.get('filterByFormula');
+        const filter = formula ? formulaFilter(formula) : () => true;
+        if (!filter) {
+          return jsonResponse(422, { error: { type: 'INVALID_FILTER_BY_FORMULA', message: `Unsupported mock formula: ${formula}` } });
+        }
+        return jsonResponse(200, { records: [...records.values()].filter(filter) });
+      }
+
+      if (options.method === 'POST') {
+        const created = (body.records || []).map(({ fields }) => {
+          const record = {
+            id: `rec${crypto.randomBytes(7).toString('hex')}`,
+            createdTime: new Date().toISOString(),
+            fields: { ...fields }
+          };
+          records.set(record.id, record);
+          return record;
+        });
+        return jsonResponse(200, { records: created });
+      }
+
+      if (options.method === 'PATCH') {
+        const missing = (body.records || []).find(({ id }) => !records.has(id));
+        if (missing) {
+          return jsonResponse(422, { error: { type: 'ROW_DOES_NOT_EXIST', message: `Record ${missing.id} does not exist in ${table}` } });
+        }
+        const updated = body.records.map(({ id, fields }) => {
+          Object.assign(records.get(id).fields, fields);
+          return records.get(id);
+        });
+        return jsonResponse(200, { records: updated });
+      }
+
+      return jsonResponse(404, { error: { type: 'NOT_FOUND', message: `Unsupported mock Airtable request: ${options.method} ${url}` } });
+    }
+  };
+}
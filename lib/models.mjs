@@ -0,0 +1,104 @@
+/**
+ * Registry of the WaveSpeed models a batch can run on.
+ *
+ * Each entry defines:
+ *   - id / name:     `model` value accepted by /api/batch, and the display name (also the Airtable `Model`)
+ *   - endpoint:      path under https://api.wavespeed.ai/api/v3/
+ *   - params:        schema of the model's generation parameters (rendered by the /app form)
+ *   - limits:        { minSize, maxSize, maxReferences, subjectRequired }
+ *   - buildPayload:  ({ prompt, subjectImage, referenceImages, width, height, params, seed }) -> request body
+ *
+ * Param schema entries: { type: 'integer' | 'number' | 'string', label, default, min?, max?, step? }.
+ * Seeds are common to all models (see lib/generation.mjs) and passed separately.
+ */
+
+const STEPS_PARAM = { type: 'integer', label: 'Steps', default: 30, min: 1, max: 100 };
+const GUIDANCE_PARAM = { type: 'number', label: 'Guidance', default: 7.5, min: 0, max: 20, step: 0.1 };
+const NEGATIVE_PROMPT_PARAM = { type: 'string', label: 'Negative Prompt', default: '' };
+
+const MODELS = [
+  {
+    id: 'seedream-v4.5-edit',
+    name: 'WaveSpeed Seedream v4.5',
+    endpoint: 'bytedance/seedream-v4.5/edit',
+    params: {
+      steps: STEPS_PARAM,
+      guidance: GUIDANCE_PARAM,
+      negativePrompt: NEGATIVE_PROMPT_PARAM
+    },
+    limits: { minSize: 256, maxSize: 2048, maxReferences: 9, subjectRequired: true },
+    buildPayload({ prompt, subjectImage, referenceImages, width, height, params, seed }) {
+      const payload = {
+        prompt,
+        images: [
+          { image: subjectImage, type: 'subject' },
+          ...referenceImages.map(image => ({ image, type: 'reference' }))
+        ],
+        width,
+        height,
+        num_inference_steps: params.steps,
+        guidance_scale: params.guidance,
+        enable_base64_output: true
+      };
+      if (params.negativePrompt) payload.negative_prompt = params.negativePrompt;
+      if (Number.isInteger(seed)) payload.seed = seed;
+      return payload;
+    }
+  },
+  {
+    id: 'seedream-v4-edit',
+    name: 'WaveSpeed Seedream v4 Edit',
+    endpoint: 'bytedance/seedream-v4/edit',
+    params: {},
+    limits: { minSize: 1024, maxSize: 4096, maxReferences: 9, subjectRequired: true },
+    buildPayload({ prompt, subjectImage, referenceImages, width, height, seed }) {
+      const payload = {
+        prompt,
+        images: [subjectImage, ...referenceImages],
+        size: `${width}*${height}`,
+        enable_base64_output: true
+      };
+      if (Number.isInteger(seed)) payload.seed = seed;
+      return payload;
+    }
+  },
+  {
+    id: 'seedream-v4',
+    name: 'WaveSpeed Seedream v4',
+    endpoint: 'bytedance/seedream-v4',
+    params: {},
+    limits: { minSize: 1024, maxSize: 4096, maxReferences: 0, subjectRequired: false },
+    buildPayload({ prompt, width, height, seed }) {
+      const payload = {
+        prompt,
+        size: `${width}*${height}`,
+        enable_base64_output: true
+      };
+      if (Number.isInteger(seed)) payload.seed = seed;
+      return payload;
+    }
+  }
+];
+
+export const DEFAULT_MODEL_ID = 'seedream-v4.5-edit';
+
+/**
+ * Look up a model by id; null if unknown
+ */
+export function getModel(id) {
+  return MODELS.find(model => model.id === id) || null;
+}
+
+/**
+ * All model ids, for error messages
+ */
+export function listModelIds() {
+  return MODELS.map(model => model.id);
+}
+
+/**
+ * Models as JSON for the API and the /app form (everything but the payload builder)
+ */
+export function describeModels() {
+  return MODELS.map(({ id, name, endpoint, params, limits }) => ({ id, name, endpoint, params, limits }));
+}
@@ -0,0 +1,189 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+/**
+ * Content-addressed storage for generated images.
+ *
+ * Files are keyed by their SHA-256 (`ab/abcdef....png`), so storing the same
+ * image twice is a no-op. Two backends share one interface:
+ *   - local: files under `dir`, served by express.static
+ *   - s3:    any S3-compatible bucket (AWS, MinIO, R2...), path-style, SigV4-signed
+ *
+ * save(buffer, contentType) -> { key, sha256, size, contentType }
+ * get(key) -> { body, contentType, size } | null
+ * The local backend also has read(key) -> { buffer, contentType } | null and exists(key).
+ */
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+function contentKey(buffer, contentType) {
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const ext = EXTENSIONS[contentType] || 'bin';
+  return { sha256, key: `${sha256.slice(0, 2)}/${sha256}.${ext}` };
+}
+
+function contentTypeForKey(key) {
+  return CONTENT_TYPES[path.extname(key).slice(1)] || 'application/octet-stream';
+}
+
+// Keys are always `<2 hex>/<64 hex>.<ext>`; anything else is refused
+const KEY_PATTERN = /^[0-9a-f]{2}\/[0-9a-f]{64}\.[a-z]+$/;
+
+export function isValidOutputKey(key) {
+  return KEY_PATTERN.test(key);
+}
+
+/**
+ * Local filesystem backend
+ */
+export function createLocalOutputStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    type: 'local',
+    localDir: dir,
+
+    async save(buffer, contentType) {
+      const { sha256, key } = contentKey(buffer, contentType);
+      const filePath = path.join(dir, key);
+
+      if (!fs.existsSync(filePath)) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, buffer);
+        await fs.promises.rename(tmpPath, filePath);
+      }
+
+      return { key, sha256, size: buffer.length, contentType };
+    },
+
+    async get(key) {
+      if (!isValidOutputKey(key)) return null;
+      const filePath = path.join(dir, key);
+      if (!fs.existsSync(filePath)) return null;
+      const stat = await fs.promises.stat(filePath);
+      return { body: fs.createReadStream(filePath), contentType: contentTypeForKey(key), size: stat.size };
+    },
+
+    async read(key) {
+      if (!isValidOutputKey(key)) return null;
+      const filePath = path.join(dir, key);
+      if (!fs.existsSync(filePath)) return null;
+      return { buffer: await fs.promises.readFile(filePath), contentType: contentTypeForKey(key) };
+    },
+
+    exists(key) {
+      return isValidOutputKey(key) && fs.existsSync(path.join(dir, key));
+    }
+  };
+}
+
+/**
+ * S3-compatible backend (path-style requests, AWS Signature Version 4)
+ */
+export function createS3OutputStorage({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 output storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = endpoint.replace(/\/+$/, '');
+
+  function objectUrl(key) {
+    return new URL(`${baseUrl}/${bucket}/${prefix}${key}`);
+  }
+
+  function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+  }
+
+  function signedHeaders(method, url, payloadHash, extraHeaders = {}) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...extraHeaders
+    };
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+    const signedHeaderList = names.join(';');
+
+    const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaderList, payloadHash].join('\n');
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+    };
+  }
+
+  return {
+    type: 's3',
+    localDir: null,
+
+    async save(buffer, contentType) {
+      const { sha256, key } = contentKey(buffer, contentType);
+      const url = objectUrl(key);
+
+      const response = await fetch(url.toString(), {
+        method: 'PUT',
+        headers: signedHeaders('PUT', url, sha256, {
+          'content-type': contentType,
+          'content-length': buffer.length
+        }),
+        body: buffer
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new Error(`S3 upload error (${response.status}): ${error}`);
+      }
+
+      return { key, sha256, size: buffer.length, contentType };
+    },
+
+    async get(key) {
+      if (!isValidOutputKey(key)) return null;
+      const url = objectUrl(key);
+      const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+
+      const response = await fetch(url.toString(), {
+        headers: signedHeaders('GET', url, emptyHash)
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`S3 download error (${response.status})`);
+      }
+
+      return {
+        body: response.body,
+        contentType: response.headers.get('content-type') || contentTypeForKey(key),
+        size: parseInt(response.headers.get('content-length')) || null
+      };
+    }
+  };
+}
@@ -0,0 +1,126 @@
+import { getModel, listModelIds, DEFAULT_MODEL_ID } from './models.mjs';
+import { validateGenerationParams } from './generation.mjs';
+import { renderTemplate } from './matrix.mjs';
+
+/**
+ * Saved generation presets: named sets of batch request fields a run can start from.
+ *
+ * A preset holds { name, description, model, promptTemplate, referenceUrls, width,
+ * height, batchCount, params } where params are the model's generation parameters plus
+ * seedStrategy / seed. Every field but name is optional.
+ *
+ * promptTemplate may contain `{prompt}`, which is filled with the request's prompt;
+ * other `{placeholders}` are left for a prompt matrix. A request prompt replaces a
+ * template without `{prompt}`, and without a request prompt the template is the prompt.
+ */
+
+const NAME_PATTERN = /^[\w][\w .-]{0,63}$/;
+const GENERATION_FIELDS = ['seedStrategy', 'seed'];
+
+const isUnset = value => value === undefined || value === null || value === '';
+
+/**
+ * Validate a POST / PUT /api/presets body. `isImageRef(url)` tells whether a reference
+ * URL is usable (http(s) or a known upload). Returns { preset, errors }.
+ */
+export function validatePreset(body, { isImageRef }) {
+  const errors = [];
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!NAME_PATTERN.test(name)) {
+    errors.push('name is required: up to 64 letters, digits, spaces, dots, dashes or underscores');
+  }
+
+  const modelId = body.model || DEFAULT_MODEL_ID;
+  const model = getModel(modelId);
+  if (!model) {
+    return { preset: null, errors: [...errors, `Unknown model: ${modelId} (available: ${listModelIds().join(', ')})`] };
+  }
+
+  if (!isUnset(body.promptTemplate) && typeof body.promptTemplate !== 'string') {
+    errors.push('promptTemplate must be a string');
+  }
+
+  const referenceUrls = body.referenceUrls ?? [];
+  if (!Array.isArray(referenceUrls)) {
+    errors.push('referenceUrls must be an array');
+  } else {
+    for (const url of referenceUrls.filter(url => !isImageRef(url))) {
+      errors.push(`Reference URL is not an http(s) URL or known upload: ${url}`);
+    }
+    if (referenceUrls.length > model.limits.maxReferences) {
+      errors.push(`${model.id} takes at most ${model.limits.maxReferences} reference images`);
+    }
+  }
+
+  for (const field of ['width', 'height']) {
+    if (isUnset(body[field])) continue;
+    const size = Number(body[field]);
+    if (!Number.isInteger(size) || size < model.limits.minSize || size > model.limits.maxSize) {
+      errors.push(`${field} must be an integer between ${model.limits.minSize} and ${model.limits.maxSize} for ${model.id}`);
+    }
+  }
+  if (!isUnset(body.batchCount)) {
+    const count = Number(body.batchCount);
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+      errors.push('batchCount must be an integer between 1 and 10');
+    }
+  }
+
+  // Only the parameters the preset sets are kept, so model defaults still apply to the rest
+  const rawParams = body.params ?? {};
+  const params = {};
+  if (typeof rawParams !== 'object' || Array.isArray(rawParams)) {
+    errors.push('params must be an object');
+  } else {
+    const generation = validateGenerationParams(rawParams, model);
+    errors.push(...generation.errors);
+    for (const field of [...Object.keys(model.params), ...GENERATION_FIELDS]) {
+      if (!isUnset(rawParams[field])) params[field] = generation.params[field];
+    }
+  }
+
+  return {
+    preset: {
+      name,
+      description: typeof body.description === 'string' ? body.description.trim() : '',
+      model: model.id,
+      promptTemplate: body.promptTemplate || '',
+      referenceUrls: Array.isArray(referenceUrls) ? referenceUrls : [],
+      width: isUnset(body.width) ? null : Number(body.width),
+      height: isUnset(body.height) ? null : Number(body.height),
+      batchCount: isUnset(body.batchCount) ? null : Number(body.batchCount),
+      params
+    },
+    errors
+  };
+}
+
+/**
+ * /api/batch body for a request that names a preset: the preset's fields with the
+ * request's own (set) fields on top
+ */
+export function applyPreset(preset, body) {
+  const overrides = { ...body };
+  delete overrides.preset;
+  const merged = {
+    ...preset.params,
+    model: preset.model,
+    referenceUrls: preset.referenceUrls,
+    ...(preset.width ? { width: preset.width } : {}),
+    ...(preset.height ? { height: preset.height } : {}),
+    ...(preset.batchCount ? { batchCount: preset.batchCount } : {})
+  };
+  for (const [field, value] of Object.entries(overrides)) {
+    if (!isUnset(value)) merged[field] = value;
+  }
+  // A request seed without a strategy means "use this seed", whatever the preset says
+  if (isUnset(overrides.seedStrategy) && !isUnset(overrides.seed)) merged.seedStrategy = 'fixed';
+
+  const template = preset.promptTemplate;
+  if (template && template.includes('{prompt}')) {
+    merged.prompt = renderTemplate(template, { prompt: isUnset(overrides.prompt) ? '' : overrides.prompt }).trim();
+  } else if (template && isUnset(overrides.prompt)) {
+    merged.prompt = template;
+  }
+  return merged;
+}
@@ -0,0 +1,87 @@
+/**
+ * Credit prices and spending budgets.
+ *
+ * A model's price per image is either listed for an exact size (`sizes: { '1024x1024': 160 }`)
+ * or derived from `perMegapixel`, where one megapixel is 1024×1024, rounded up to a whole credit.
+ * Models without an entry use `default`.
+ *
+ * Budgets are counted per UTC day and UTC month.
+ */
+
+export const DEFAULT_PRICES = {
+  default: { perMegapixel: 160, sizes: {} },
+  'seedream-v4.5-edit': { perMegapixel: 160, sizes: { '512x512': 40, '1024x1024': 160 } }
+};
+
+const MEGAPIXEL = 1024 * 1024;
+
+/**
+ * Price table from DEFAULT_PRICES with per-model overrides (e.g. parsed from PRICE_TABLE_FILE)
+ */
+export function createPriceTable(overrides = {}) {
+  const prices = { ...DEFAULT_PRICES };
+  for (const [modelId, entry] of Object.entries(overrides)) {
+    const base = prices[modelId] || prices.default;
+    if (entry.perMegapixel !== undefined && !(Number(entry.perMegapixel) >= 0)) {
+      throw new Error(`Invalid price table entry for ${modelId}: perMegapixel must be a non-negative number`);
+    }
+    for (const [size, credits] of Object.entries(entry.sizes || {})) {
+      if (!/^\d+x\d+$/.test(size) || !(Number(credits) >= 0)) {
+        throw new Error(`Invalid price table entry for ${modelId}: ${size} = ${credits}`);
+      }
+    }
+    prices[modelId] = {
+      perMegapixel: entry.perMegapixel !== undefined ? Number(entry.perMegapixel) : base.perMegapixel,
+      sizes: { ...base.sizes, ...entry.sizes }
+    };
+  }
+
+  function creditsPerImage(modelId, width, height) {
+    const entry = prices[modelId] || prices.default;
+    const listed = entry.sizes[`${width}x${height}`];
+    if (listed !== undefined) return Number(listed);
+    return Math.ceil(entry.perMegapixel * (width * height) / MEGAPIXEL);
+  }
+
+  return {
+    prices,
+    creditsPerImage,
+
+    /**
+     * Expected cost of `images` images of one model and size
+     */
+    estimate({ model, width, height, images }) {
+      const perImage = creditsPerImage(model, width, height);
+      return { model, width, height, images, creditsPerImage: perImage, credits: perImage * images };
+    }
+  };
+}
+
+/**
+ * Start of the UTC day / month that `time` falls in
+ */
+export function periodStart(time, period) {
+  const date = new Date(time);
+  return period === 'month'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Check `credits` more against the daily and monthly caps (0 = no cap).
+ * used: { day, month } credits already spent or reserved in the current periods.
+ * Returns { allowed, daily, monthly, exceeded: ['daily' | 'monthly'] }.
+ */
+export function checkBudget({ credits, used, dailyCap, monthlyCap }) {
+  const describe = (cap, spent) => ({
+    cap: cap || null,
+    used: spent,
+    remaining: cap ? Math.max(0, cap - spent) : null
+  });
+  const daily = describe(dailyCap, used.day);
+  const monthly = describe(monthlyCap, used.month);
+  const exceeded = [];
+  if (dailyCap && used.day + credits > dailyCap) exceeded.push('daily');
+  if (monthlyCap && used.month + credits > monthlyCap) exceeded.push('monthly');
+  return { allowed: exceeded.length === 0, daily, monthly, exceeded };
+}
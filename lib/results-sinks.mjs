@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { retryDelayMs } from './retry.mjs';
+
+/**
+ * Results sinks: where run records (the Airtable-shaped field map of a batch) are written.
+ *
+ * A sink has one interface:
+ *   name
+ *   create(fields, options) -> recordId
+ *   update(recordId, fields, options)
+ * options.final marks the last write of a run, which a sink should try hardest to land.
+ *
+ * Two sinks ship here:
+ *   - airtable: one row per run in an Airtable table
+ *   - local:    the same fields in a JSON-file table (`{ [id]: { id, createdTime, fields } }`)
+ *
+ * createResultsRecorder() writes to several sinks at once, retries failed writes
+ * and reports what still failed instead of throwing.
+ */
+
+/**
+ * Airtable table sink. Writes go through the base's write queue (lib/airtable-queue.mjs),
+ * which rate-limits, batches, coalesces and retries them.
+ *
+ * Airtable rejects a write with any field the table doesn't have, so `omitFields`
+ * (optional columns this table lacks) are never sent.
+ */
+export function createAirtableSink({ queue, table, name = 'airtable', omitFields = [] }) {
+  const tableFields = fields => {
+    const kept = { ...fields };
+    for (const field of omitFields) delete kept[field];
+    return kept;
+  };
+
+  return {
+    name,
+
+    create(fields, options) {
+      return queue.create(table, tableFields(fields), options);
+    },
+
+    update(recordId, fields, options) {
+      return queue.update(table, recordId, tableFields(fields), options);
+    }
+  };
+}
+
+/**
+ * JSON-file table with the same fields as the Airtable table
+ */
+export function createLocalSink(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  let records = {};
+  if (fs.existsSync(filePath)) {
+    records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Writes are chained so the file is never written by two callers at once
+  let writing = Promise.resolve();
+  function flush() {
+    const snapshot = JSON.stringify(records, null, 2);
+    writing = writing.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    return writing;
+  }
+
+  return {
+    name: 'local',
+
+    async create(fields) {
+      const id = `loc${crypto.randomBytes(7).toString('hex')}`;
+      records[id] = { id, createdTime: new Date().toISOString(), fields: { ...fields } };
+      await flush();
+      return id;
+    },
+
+    async update(recordId, fields) {
+      if (!records[recordId]) {
+        throw new Error(`Local results record not found: ${recordId}`);
+      }
+      Object.assign(records[recordId].fields, fields);
+      await flush();
+    },
+
+    get(recordId) {
+      return records[recordId] || null;
+    },
+
+    list() {
+      return Object.values(records);
+    }
+  };
+}
+
+/**
+ * Network errors and 429/5xx are worth another try; other 4xx (unknown field, bad token...) are not.
+ * Errors the sink already retried itself (`retried`) are final.
+ */
+function isRetryableSinkError(error) {
+  if (error.retried) return false;
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Write run records to several sinks with retries.
+ *
+ * create(fields) -> { records: { [sinkName]: recordId }, errors }
+ * update(records, fields, initialFields, options) -> { errors }
+ *   Sinks where `records` has no id yet (their create failed) get the record created
+ *   from initialFields + fields, and `records` is filled in.
+ *
+ * errors: [{ sink, operation, error, attempts }] for writes that still failed after retrying.
+ */
+export function createResultsRecorder({ sinks, maxAttempts = 3, baseDelayMs = 1000, maxDelayMs = 10000 }) {
+  async function withRetries(operation) {
+    let attempt = 1;
+    for (;;) {
+      try {
+        return { value: await operation(), attempts: attempt };
+      } catch (error) {
+        if (attempt >= maxAttempts || !isRetryableSinkError(error)) {
+          error.attempts = attempt;
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs(attempt, baseDelayMs, maxDelayMs)));
+        attempt++;
+      }
+    }
+  }
+
+  // records object -> Map(sinkName -> Promise) of creates in flight, so concurrent
+  // updates of a run never create the same record twice
+  const pendingCreates = new WeakMap();
+
+  function createIn(sink, fields, records, errors, options) {
+    if (!pendingCreates.has(records)) pendingCreates.set(records, new Map());
+    const pending = pendingCreates.get(records);
+    if (pending.has(sink.name)) return pending.get(sink.name);
+
+    const promise = withRetries(() => sink.create(fields, options))
+      .then(({ value }) => {
+        records[sink.name] = value;
+      })
+      .catch(error => {
+        errors.push({ sink: sink.name, operation: 'create', error: error.message, attempts: error.attempts });
+      })
+      .finally(() => pending.delete(sink.name));
+    pending.set(sink.name, promise);
+    return promise;
+  }
+
+  return {
+    sinkNames: sinks.map(sink => sink.name),
+
+    async create(fields) {
+      const records = {};
+      const errors = [];
+      await Promise.all(sinks.map(sink => createIn(sink, fields, records, errors)));
+      return { records, errors };
+    },
+
+    async update(records, fields, initialFields = {}, options = {}) {
+      const errors = [];
+      await Promise.all(sinks.map(async sink => {
+        if (!records[sink.name]) {
+          // Not created yet (or the create failed earlier): create with the full current state.
+          // If a create is already in flight, wait for it and then apply these fields on top.
+          const joined = pendingCreates.has(records) && pendingCreates.get(records).has(sink.name);
+          await createIn(sink, { ...initialFields, ...fields }, records, errors, options);
+          if (joined && !records[sink.name]) {
+            // The create we joined failed (and reported to its own caller): try again for ours
+            await createIn(sink, { ...initialFields, ...fields }, records, errors, options);
+            return;
+          }
+          if (!joined) return;
+        }
+        try {
+          await withRetries(() => sink.update(records[sink.name], fields, options));
+        } catch (error) {
+          errors.push({ sink: sink.name, operation: 'update', error: error.message, attempts: error.attempts });
+        }
+      }));
+      return { errors };
+    }
+  };
+}
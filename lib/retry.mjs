@@ -0,0 +1,62 @@
+/**
+ * Retry policy for generation tasks: error classification and backoff.
+ */
+
+const CONTENT_POLICY_PATTERN = /content[\s_-]?policy|nsfw|safety|moderation|sensitive|inappropriate/i;
+const VALIDATION_PATTERN = /invalid|validation|unsupported|parameter|too large|too small|malformed/i;
+const TIMEOUT_PATTERN = /time[\s_-]?out|timed out|deadline/i;
+
+/**
+ * Classify a task error as retryable or permanent.
+ *
+ * error: { status?, message?, source } where source is 'submission' (the POST
+ * to WaveSpeed threw), 'provider' (WaveSpeed reported the task as failed),
+ * 'timeout' (polling gave up) or 'conversion' (none of the task's outputs could be
+ * stored). Returns { retryable, category }.
+ */
+export function classifyTaskError({ status, message = '', source }) {
+  if (source === 'timeout') {
+    return { retryable: true, category: 'timeout' };
+  }
+  if (source === 'conversion') {
+    // WaveSpeed already charged for the image; resubmitting would pay for it again
+    return { retryable: false, category: 'conversion' };
+  }
+
+  if (CONTENT_POLICY_PATTERN.test(message)) {
+    return { retryable: false, category: 'content_policy' };
+  }
+
+  if (status === 429) {
+    return { retryable: true, category: 'rate_limit' };
+  }
+  if (status === 408 || TIMEOUT_PATTERN.test(message)) {
+    return { retryable: true, category: 'timeout' };
+  }
+  if (status >= 500) {
+    return { retryable: true, category: 'server_error' };
+  }
+  if (status >= 400) {
+    return { retryable: false, category: 'validation' };
+  }
+
+  if (source === 'submission') {
+    // No HTTP status: DNS, connection reset, socket timeout...
+    return { retryable: true, category: 'network' };
+  }
+
+  if (VALIDATION_PATTERN.test(message)) {
+    return { retryable: false, category: 'validation' };
+  }
+
+  // WaveSpeed failed the task without saying why; worth another attempt
+  return { retryable: true, category: 'provider_failure' };
+}
+
+/**
+ * Exponential backoff with up to 20% jitter for the given (1-based) retry number
+ */
+export function retryDelayMs(retryNumber, baseDelayMs, maxDelayMs) {
+  const delay = Math.min(baseDelayMs * 2 ** (retryNumber - 1), maxDelayMs);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
@@ -0,0 +1,167 @@
+/**
+ * Process-wide submission scheduler for WaveSpeed tasks.
+ *
+ * - token bucket: `ratePerSecond` refill, up to `burst` tokens
+ * - at most `maxInFlight` submitted-but-unsettled tasks; call release() when one settles
+ * - a 429 pauses every submission until its Retry-After has passed and requeues the task
+ * - runs are served round-robin, so a large batch cannot starve smaller ones
+ */
+export function createSubmissionScheduler({
+  ratePerSecond = 1,
+  burst = 1,
+  maxInFlight = 20,
+  maxRateLimitRetries = 5,
+  defaultRetryAfterMs = 10000
+} = {}) {
+  const runQueues = new Map(); // runId -> [entry]; Map keeps insertion order for round-robin
+  let lastRunId = null;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let inFlight = 0;
+  let pausedUntil = 0;
+  let timer = null;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  // Run IDs in the order they will be served next, starting after the last one served
+  function runOrder() {
+    const runIds = [...runQueues.keys()];
+    const start = runIds.indexOf(lastRunId) + 1;
+    return [...runIds.slice(start), ...runIds.slice(0, start)];
+  }
+
+  function schedule(delayMs) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(delayMs, 10));
+  }
+
+  function pump() {
+    while (runQueues.size > 0) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        schedule(pausedUntil - now);
+        return;
+      }
+      if (inFlight >= maxInFlight) {
+        // release() pumps again when a slot frees up
+        return;
+      }
+      refill();
+      if (tokens < 1) {
+        schedule(((1 - tokens) / ratePerSecond) * 1000);
+        return;
+      }
+
+      const runId = runOrder()[0];
+      const queue = runQueues.get(runId);
+      const entry = queue.shift();
+      if (queue.length === 0) runQueues.delete(runId);
+      lastRunId = runId;
+
+      tokens -= 1;
+      inFlight++;
+      dispatch(entry);
+    }
+  }
+
+  async function dispatch(entry) {
+    try {
+      entry.resolve(await entry.submit());
+    } catch (error) {
+      inFlight--;
+
+      if (error.status === 429 && entry.attempts < maxRateLimitRetries) {
+        entry.attempts++;
+        const retryAfterMs = error.retryAfterMs || defaultRetryAfterMs;
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfterMs);
+        console.warn(`[Scheduler] Rate limited, pausing submissions for ${Math.round(retryAfterMs / 1000)}s (${entry.runId} task ${entry.label}, attempt ${entry.attempts})`);
+
+        // Back to the front of its run's queue
+        const queue = runQueues.get(entry.runId) || [];
+        queue.unshift(entry);
+        runQueues.set(entry.runId, queue);
+      } else {
+        entry.reject(error);
+      }
+    }
+    pump();
+  }
+
+  return {
+    /**
+     * Queue a submission; resolves with whatever `submit` resolves with
+     */
+    enqueue(runId, label, submit) {
+      return new Promise((resolve, reject) => {
+        const queue = runQueues.get(runId) || [];
+        queue.push({ runId, label, submit, resolve, reject, attempts: 0 });
+        runQueues.set(runId, queue);
+        pump();
+      });
+    },
+
+    /**
+     * A submitted task has settled; frees its in-flight slot
+     */
+    release() {
+      inFlight = Math.max(0, inFlight - 1);
+      pump();
+    },
+
+    /**
+     * Count a task submitted elsewhere (e.g. before a restart) as in flight
+     */
+    trackInFlight() {
+      inFlight++;
+    },
+
+    /**
+     * Drop every queued (not yet dispatched) task of a run; returns how many were dropped
+     */
+    cancelRun(runId, reason) {
+      const queue = runQueues.get(runId) || [];
+      runQueues.delete(runId);
+      for (const entry of queue) entry.reject(reason);
+      return queue.length;
+    },
+
+    /**
+     * Global queue positions (1-based, in dispatch order) of a run's queued tasks
+     */
+    positions(runId) {
+      const queues = runOrder().map(id => runQueues.get(id));
+      const positions = [];
+      let position = 0;
+      for (let round = 0; queues.some(queue => queue.length > round); round++) {
+        for (const queue of queues) {
+          if (queue.length <= round) continue;
+          position++;
+          if (queue[round].runId === runId) {
+            positions.push({ label: queue[round].label, position });
+          }
+        }
+      }
+      return positions;
+    },
+
+    stats() {
+      refill();
+      let queued = 0;
+      for (const queue of runQueues.values()) queued += queue.length;
+      return {
+        queued,
+        inFlight,
+        maxInFlight,
+        runsWaiting: runQueues.size,
+        pausedForMs: Math.max(0, pausedUntil - Date.now())
+      };
+    }
+  };
+}
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Append-only JSON-lines store for batch, job, import and preset state.
+ *
+ * Every change is appended as one line ({ kind, key, value }); on open the
+ * log is replayed (last write per key wins) and compacted into a snapshot,
+ * so the file only grows with the activity of a single process lifetime.
+ */
+export function createFileStore(dataDir) {
+  const filePath = path.join(dataDir, 'state.jsonl');
+  const collections = {
+    batch: new Map(),
+    job: new Map(),
+    import: new Map(),
+    preset: new Map()
+  };
+
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { kind, key, value } = JSON.parse(line);
+        if (!collections[kind]) continue;
+        if (value === null) {
+          collections[kind].delete(key);
+        } else {
+          collections[kind].set(key, value);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line; skip it
+        console.warn(`[Store] Skipping unreadable line in ${filePath}`);
+      }
+    }
+  }
+
+  compact();
+
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const lines = [];
+    for (const [kind, entries] of Object.entries(collections)) {
+      for (const [key, value] of entries) {
+        lines.push(JSON.stringify({ kind, key, value }));
+      }
+    }
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function append(kind, key, value) {
+    if (value === null) {
+      collections[kind].delete(key);
+    } else {
+      collections[kind].set(key, value);
+    }
+    fs.appendFileSync(filePath, JSON.stringify({ kind, key, value }) + '\n');
+  }
+
+  return {
+    loadBatches: () => new Map(collections.batch),
+    loadJobs: () => new Map(collections.job),
+    loadImports: () => new Map(collections.import),
+    loadPresets: () => new Map(collections.preset),
+    saveBatch: (runId, batch) => append('batch', runId, batch),
+    saveJob: (requestId, job) => append('job', requestId, job),
+    saveImport: (importId, record) => append('import', importId, record),
+    savePreset: (name, preset) => append('preset', name, preset),
+    deleteBatch: runId => append('batch', runId, null),
+    deleteJob: requestId => append('job', requestId, null),
+    deletePreset: name => append('preset', name, null)
+  };
+}
@@ -2,9 +2,29 @@ import express from 'express';
 import fetch from 'node-fetch';
 import FormData from 'form-data';
 import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import multer from 'multer';
+import { createFileStore } from './lib/store.mjs';
+import { validateMatrix, expandMatrix, countCombinations } from './lib/matrix.mjs';
+import { parseImportFile, detectImportFormat } from './lib/import.mjs';
+import { createSubmissionScheduler } from './lib/scheduler.mjs';
+import { classifyTaskError, retryDelayMs } from './lib/retry.mjs';
+import { createLocalOutputStorage, createS3OutputStorage } from './lib/output-storage.mjs';
+import { normalizeInputImage, detectImageFormat, contentTypeForFormat, InputImageError } from './lib/input-images.mjs';
+import { validateGenerationParams, seedForTask, describeGenerationParams, defaultParams, modelParams } from './lib/generation.mjs';
+import { getModel, listModelIds, describeModels, DEFAULT_MODEL_ID } from './lib/models.mjs';
+import { createAirtableSink, createLocalSink, createResultsRecorder } from './lib/results-sinks.mjs';
+import { createAirtableWriteQueue } from './lib/airtable-queue.mjs';
+import { createAirtableIntake, INTAKE_INPUT_FIELDS } from './lib/airtable-intake.mjs';
+import { createPriceTable, checkBudget, periodStart } from './lib/pricing.mjs';
+import { createAuth, loadUsers, parseCookies, safeRedirectPath, SESSION_COOKIE } from './lib/auth.mjs';
+import { createMetricsRegistry, createDependencyHealth } from './lib/metrics.mjs';
+import { createMockWaveSpeed, createMockAirtable } from './lib/mock-providers.mjs';
+import { validatePreset, applyPreset } from './lib/presets.mjs';
 
 // Load environment variables
 dotenv.config();
@@ -21,120 +41,702 @@ const WAVESPEED_API_KEY = process.env.WAVESPEED_API_KEY;
 const AIRTABLE_TOKEN = process.env.AIRTABLE_TOKEN;
 const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
 const AIRTABLE_TABLE = process.env.AIRTABLE_TABLE || 'Generations';
+// Optional: one row per task in this table, linked to the run's row through AIRTABLE_CHILD_LINK_FIELD
+const AIRTABLE_CHILD_TABLE = process.env.AIRTABLE_CHILD_TABLE;
+const AIRTABLE_CHILD_LINK_FIELD = process.env.AIRTABLE_CHILD_LINK_FIELD || 'Generation';
+// Optional: start runs from rows whose Status is `queued` (see lib/airtable-intake.mjs)
+const AIRTABLE_INTAKE_ENABLED = process.env.AIRTABLE_INTAKE_ENABLED === 'true';
+const AIRTABLE_INTAKE_TABLE = process.env.AIRTABLE_INTAKE_TABLE || AIRTABLE_TABLE;
+const AIRTABLE_INTAKE_VIEW = process.env.AIRTABLE_INTAKE_VIEW || null;
+const AIRTABLE_INTAKE_INTERVAL_MS = parseInt(process.env.AIRTABLE_INTAKE_INTERVAL_MS || '30000');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const WAVESPEED_WEBHOOK_SECRET = process.env.WAVESPEED_WEBHOOK_SECRET;
+// Unsigned webhooks could complete any task, so without a secret results come from polling only
+const WEBHOOKS_ENABLED = Boolean(WAVESPEED_WEBHOOK_SECRET);
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS || '300');
+const MAX_BATCH_TASKS = parseInt(process.env.MAX_BATCH_TASKS || '100');
+const WAVESPEED_RATE_PER_SECOND = parseFloat(process.env.WAVESPEED_RATE_PER_SECOND || '0.8');
+const WAVESPEED_BURST = parseInt(process.env.WAVESPEED_BURST || '1');
+const WAVESPEED_MAX_IN_FLIGHT = parseInt(process.env.WAVESPEED_MAX_IN_FLIGHT || '20');
+const TASK_MAX_ATTEMPTS = parseInt(process.env.TASK_MAX_ATTEMPTS || '3');
+const TASK_RETRY_BASE_DELAY_MS = parseInt(process.env.TASK_RETRY_BASE_DELAY_MS || '5000');
+const TASK_RETRY_MAX_DELAY_MS = parseInt(process.env.TASK_RETRY_MAX_DELAY_MS || '60000');
+const OUTPUT_STORAGE = process.env.OUTPUT_STORAGE || 'local'; // local | s3
+const RESULTS_SINKS = (process.env.RESULTS_SINKS || 'airtable').split(',').map(name => name.trim()).filter(Boolean); // airtable, local
+const LOCAL_RESULTS_FILE = process.env.LOCAL_RESULTS_FILE || path.join(DATA_DIR, 'results.json');
+const SINK_MAX_ATTEMPTS = parseInt(process.env.SINK_MAX_ATTEMPTS || '3');
+const SINK_RETRY_BASE_DELAY_MS = parseInt(process.env.SINK_RETRY_BASE_DELAY_MS || '1000');
+// Airtable allows 5 requests per second per base and 10 records per request
+const AIRTABLE_RATE_PER_SECOND = parseFloat(process.env.AIRTABLE_RATE_PER_SECOND || '5');
+const AIRTABLE_BATCH_SIZE = Math.min(parseInt(process.env.AIRTABLE_BATCH_SIZE || '10'), 10);
+const AIRTABLE_MAX_ATTEMPTS = parseInt(process.env.AIRTABLE_MAX_ATTEMPTS || '5');
+// Optional run columns are only sent to Airtable when listed here, so older tables keep working
+const AIRTABLE_OPTIONAL_FIELDS = [
+  'Estimated Credits', 'Credits', 'Parameters', 'Seeds', 'Failure Reasons', 'Retries', 'Cancelled At', 'Variables'
+];
+const AIRTABLE_EXTRA_FIELDS = (process.env.AIRTABLE_EXTRA_FIELDS || '').split(',').map(name => name.trim()).filter(Boolean);
+const AIRTABLE_OMITTED_FIELDS = AIRTABLE_OPTIONAL_FIELDS.filter(field => !AIRTABLE_EXTRA_FIELDS.includes(field));
+const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(DATA_DIR, 'outputs');
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(DATA_DIR, 'uploads');
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(10 * 1024 * 1024));
+const UPLOAD_MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES || '10');
+const UPLOAD_ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
 
-const WAVESPEED_API_URL = 'https://api.wavespeed.ai/api/v3/bytedance/seedream-v4.5/edit';
-const WAVESPEED_RESULT_URL = 'https://api.wavespeed.ai/api/v3/predictions';
-const AIRTABLE_API_URL = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE}`;
+// Credit prices (JSON overrides of lib/pricing.mjs) and spending caps per UTC day / month (0 = no cap)
+const PRICE_TABLE_FILE = process.env.PRICE_TABLE_FILE;
+const BUDGET_DAILY_CREDITS = parseInt(process.env.BUDGET_DAILY_CREDITS || '0');
+const BUDGET_MONTHLY_CREDITS = parseInt(process.env.BUDGET_MONTHLY_CREDITS || '0');
+const BUDGET_EXCEEDED_ACTION = process.env.BUDGET_EXCEEDED_ACTION || 'reject'; // reject | queue
+const BUDGET_CHECK_INTERVAL_MS = parseInt(process.env.BUDGET_CHECK_INTERVAL_MS || '60000');
 
-// In-memory store for tracking batches and jobs
-const batchStore = new Map(); // runId -> { parentId, requestIds[], seenIds[], failedIds[], status, startTime }
-const jobStore = new Map(); // requestId -> { runId, parentId, status, retries }
+// Users with API keys / UI passwords (see lib/auth.mjs); without USERS_FILE everything is open
+const USERS_FILE = process.env.USERS_FILE;
+const SESSION_SECRET = process.env.SESSION_SECRET;
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '12');
+// Default quotas for users that don't set their own (0 = no limit)
+const QUOTA_RUNS_PER_DAY = parseInt(process.env.QUOTA_RUNS_PER_DAY || '0');
+const QUOTA_IMAGES_PER_RUN = parseInt(process.env.QUOTA_IMAGES_PER_RUN || '0');
+const QUOTA_CONCURRENT_RUNS = parseInt(process.env.QUOTA_CONCURRENT_RUNS || '0');
+
+// Offline fakes instead of WaveSpeed and Airtable (lib/mock-providers.mjs): no credits or tokens needed
+const MOCK_MODE = process.env.MOCK_MODE === 'true';
+const MOCK_LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '3000');
+const MOCK_FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE || '0');
+const MOCK_RATE_LIMIT_RATE = parseFloat(process.env.MOCK_RATE_LIMIT_RATE || '0');
+const MOCK_WEBHOOKS = process.env.MOCK_WEBHOOKS === 'true';
+const MOCK_AIRTABLE_FAILURE_RATE = parseFloat(process.env.MOCK_AIRTABLE_FAILURE_RATE || '0');
+const MOCK_AIRTABLE_RATE_LIMIT_RATE = parseFloat(process.env.MOCK_AIRTABLE_RATE_LIMIT_RATE || '0');
+
+// /ready reports a dependency as failing while its last call failed within this window
+const DEPENDENCY_FAILURE_WINDOW_MS = parseInt(process.env.DEPENDENCY_FAILURE_WINDOW_MS || String(5 * 60 * 1000));
+
+// Input images above these limits are downscaled / re-encoded before submission
+const INPUT_MAX_PIXELS = parseInt(process.env.INPUT_MAX_PIXELS || String(2048 * 2048));
+const INPUT_MAX_BYTES = parseInt(process.env.INPUT_MAX_BYTES || String(5 * 1024 * 1024));
+const INPUT_MAX_DOWNLOAD_BYTES = parseInt(process.env.INPUT_MAX_DOWNLOAD_BYTES || String(50 * 1024 * 1024));
+const INPUT_FETCH_TIMEOUT_MS = parseInt(process.env.INPUT_FETCH_TIMEOUT_MS || '30000');
+
+// Uploaded images are referenced as `upload:<key>` wherever an image URL is accepted
+const UPLOAD_REF_PREFIX = 'upload:';
+
+// Where a failure happened, as labelled on /status, in Airtable and in the UI
+const FAILURE_SOURCES = {
+  input: 'Input images',
+  submission: 'Submission error',
+  provider: 'WaveSpeed failure',
+  timeout: 'Polling timeout',
+  conversion: 'Image conversion'
+};
+
+const WAVESPEED_API_BASE = 'https://api.wavespeed.ai/api/v3';
+const WAVESPEED_RESULT_URL = `${WAVESPEED_API_BASE}/predictions`;
+const AIRTABLE_BASE_URL = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}`;
+
+// Durable store for tracking batches and jobs; the Maps are a write-through cache
+const store = createFileStore(DATA_DIR);
+const batchStore = store.loadBatches(); // runId -> { parentId, requestIds[], seenIds[], failedIds[], status, startTime }
+const jobStore = store.loadJobs(); // requestId -> { runId, parentId, status, retries }
+const importStore = store.loadImports(); // importId -> { importId, format, createdAt, rows[] }
+const presetStore = store.loadPresets(); // name -> { name, version, model, promptTemplate, ..., createdBy, updatedAt }
+
+// Process-wide queue for WaveSpeed submissions (rate limit, in-flight cap, round-robin across runs)
+const submissionScheduler = createSubmissionScheduler({
+  ratePerSecond: WAVESPEED_RATE_PER_SECOND,
+  burst: WAVESPEED_BURST,
+  maxInFlight: WAVESPEED_MAX_IN_FLIGHT
+});
+
+// Where generated images are kept; served under /outputs
+const outputStorage = OUTPUT_STORAGE === 's3'
+  ? createS3OutputStorage({
+    endpoint: process.env.S3_ENDPOINT,
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || ''
+  })
+  : createLocalOutputStorage(OUTPUT_DIR);
+
+// In mock mode every WaveSpeed / Airtable request is answered locally
+const mockWaveSpeed = MOCK_MODE
+  ? createMockWaveSpeed({
+    latencyMs: MOCK_LATENCY_MS,
+    failureRate: MOCK_FAILURE_RATE,
+    rateLimitRate: MOCK_RATE_LIMIT_RATE,
+    webhooks: MOCK_WEBHOOKS,
+    webhookSecret: WAVESPEED_WEBHOOK_SECRET
+  })
+  : null;
+const mockAirtable = MOCK_MODE
+  ? createMockAirtable({ failureRate: MOCK_AIRTABLE_FAILURE_RATE, rateLimitRate: MOCK_AIRTABLE_RATE_LIMIT_RATE })
+  : null;
+const waveSpeedFetch = mockWaveSpeed ? mockWaveSpeed.fetch : fetch;
+if (MOCK_MODE) {
+  console.warn('[Mock] MOCK_MODE is on: WaveSpeed and Airtable are simulated, nothing is sent to them');
+}
+
+// Prometheus metrics served on /metrics; gauges are registered further down, next to the state they read
+const metrics = createMetricsRegistry();
+const taskMetrics = {
+  submitted: metrics.counter({
+    name: 'wavespeed_batch_tasks_submitted_total',
+    help: 'Tasks accepted by WaveSpeed',
+    labelNames: ['model']
+  }),
+  completed: metrics.counter({
+    name: 'wavespeed_batch_tasks_completed_total',
+    help: 'Tasks that produced images, by how the result arrived (polling or webhook)',
+    labelNames: ['model', 'source']
+  }),
+  failed: metrics.counter({
+    name: 'wavespeed_batch_tasks_failed_total',
+    help: 'Failed task attempts, including submissions WaveSpeed rejected and timeouts',
+    labelNames: ['model', 'category']
+  }),
+  timedOut: metrics.counter({
+    name: 'wavespeed_batch_tasks_timed_out_total',
+    help: 'Task attempts that polling gave up on',
+    labelNames: ['model']
+  }),
+  duration: metrics.histogram({
+    name: 'wavespeed_batch_task_duration_seconds',
+    help: 'Time from submission to the task settling',
+    labelNames: ['model', 'outcome']
+  }),
+  polls: metrics.counter({
+    name: 'wavespeed_batch_poll_requests_total',
+    help: 'Result polling requests sent to WaveSpeed',
+    labelNames: ['result']
+  }),
+  webhooks: metrics.counter({
+    name: 'wavespeed_batch_webhooks_total',
+    help: 'WaveSpeed webhook calls: hit (settled a task), duplicate, miss (unknown task) or rejected (bad signature)',
+    labelNames: ['result']
+  }),
+  airtableErrors: metrics.counter({
+    name: 'wavespeed_batch_airtable_write_errors_total',
+    help: 'Airtable write requests that failed (each attempt; the queue retries most of them)',
+    labelNames: ['table', 'operation', 'status']
+  }),
+  sinkErrors: metrics.counter({
+    name: 'wavespeed_batch_results_sink_errors_total',
+    help: 'Run record writes that still failed after retrying',
+    labelNames: ['sink', 'operation']
+  }),
+  intakeRows: metrics.counter({
+    name: 'wavespeed_batch_airtable_intake_rows_total',
+    help: 'Queued Airtable intake rows handled: started, invalid, failed (not started), conflict (claimed elsewhere) or error',
+    labelNames: ['outcome']
+  })
+};
+
+// Recent WaveSpeed / Airtable failures, reported by /ready
+const dependencyHealth = createDependencyHealth({ windowMs: DEPENDENCY_FAILURE_WINDOW_MS });
+dependencyHealth.register('wavespeed');
+if (RESULTS_SINKS.includes('airtable') || AIRTABLE_INTAKE_ENABLED) dependencyHealth.register('airtable');
+
+// Every Airtable write (run rows and task rows) shares one queue, since the rate limit is per base
+const airtableQueue = createAirtableWriteQueue({
+  baseUrl: AIRTABLE_BASE_URL,
+  token: AIRTABLE_TOKEN,
+  ratePerSecond: AIRTABLE_RATE_PER_SECOND,
+  maxBatchSize: AIRTABLE_BATCH_SIZE,
+  maxAttempts: AIRTABLE_MAX_ATTEMPTS,
+  baseDelayMs: SINK_RETRY_BASE_DELAY_MS,
+  fetchImpl: mockAirtable ? mockAirtable.fetch : fetch,
+  onResponse({ table, operation, ok, status, error }) {
+    if (!ok) taskMetrics.airtableErrors.inc({ table, operation, status: status || 'network' });
+    // A 422 means Airtable is up and rejected our fields
+    if (ok || status === 422) {
+      dependencyHealth.success('airtable');
+    } else {
+      dependencyHealth.failure('airtable', `${operation} in ${table} failed (${status || 'network error'}): ${error}`);
+    }
+  }
+});
+
+// Run records go to every configured results sink; the first one provides parentId
+const resultsSinks = RESULTS_SINKS.map(name => {
+  if (name === 'airtable') return createAirtableSink({ queue: airtableQueue, table: AIRTABLE_TABLE, omitFields: AIRTABLE_OMITTED_FIELDS });
+  if (name === 'local') return createLocalSink(LOCAL_RESULTS_FILE);
+  throw new Error(`Unknown results sink: ${name} (expected airtable or local)`);
+});
+const resultsRecorder = createResultsRecorder({
+  sinks: resultsSinks,
+  maxAttempts: SINK_MAX_ATTEMPTS,
+  baseDelayMs: SINK_RETRY_BASE_DELAY_MS
+});
+
+// Runs from the Airtable intake write to the row they came from, whatever RESULTS_SINKS says
+const intakeRecorder = AIRTABLE_INTAKE_ENABLED
+  ? createResultsRecorder({
+    sinks: [
+      createAirtableSink({ queue: airtableQueue, table: AIRTABLE_INTAKE_TABLE, omitFields: AIRTABLE_OMITTED_FIELDS }),
+      ...resultsSinks.filter(sink => sink.name !== 'airtable')
+    ],
+    maxAttempts: SINK_MAX_ATTEMPTS,
+    baseDelayMs: SINK_RETRY_BASE_DELAY_MS
+  })
+  : null;
+
+// Per-task rows need the run's Airtable row to link to, so they only exist with the airtable sink
+const childRecorder = AIRTABLE_CHILD_TABLE && RESULTS_SINKS.includes('airtable')
+  ? createResultsRecorder({
+    sinks: [createAirtableSink({ queue: airtableQueue, table: AIRTABLE_CHILD_TABLE, name: 'airtable-child' })],
+    maxAttempts: SINK_MAX_ATTEMPTS,
+    baseDelayMs: SINK_RETRY_BASE_DELAY_MS
+  })
+  : null;
+if (AIRTABLE_CHILD_TABLE && !childRecorder) {
+  console.warn('[Results] AIRTABLE_CHILD_TABLE is set but the airtable results sink is not enabled; child records are off');
+}
+
+if (!['reject', 'queue'].includes(BUDGET_EXCEEDED_ACTION)) {
+  throw new Error(`Unknown BUDGET_EXCEEDED_ACTION: ${BUDGET_EXCEEDED_ACTION} (expected reject or queue)`);
+}
+
+// Credits per image by model and size
+const priceTable = createPriceTable(PRICE_TABLE_FILE ? JSON.parse(fs.readFileSync(PRICE_TABLE_FILE, 'utf8')) : {});
+
+const auth = USERS_FILE
+  ? createAuth({
+    users: loadUsers(USERS_FILE, {
+      runsPerDay: QUOTA_RUNS_PER_DAY,
+      imagesPerRun: QUOTA_IMAGES_PER_RUN,
+      concurrentRuns: QUOTA_CONCURRENT_RUNS
+    }),
+    // Without a fixed secret, sessions end when the server restarts
+    sessionSecret: SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    sessionTtlMs: SESSION_TTL_HOURS * 60 * 60 * 1000
+  })
+  : null;
+
+// Subject/reference images uploaded by users, content-addressed so reruns can reuse them
+const uploadStorage = createLocalOutputStorage(UPLOAD_DIR);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_BYTES,
+    files: UPLOAD_MAX_FILES
+  },
+  fileFilter: (req, file, callback) => {
+    if (!UPLOAD_ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported file type for ${file.originalname}: ${file.mimetype} (allowed: ${UPLOAD_ALLOWED_TYPES.join(', ')})`);
+      error.status = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+// Base64 inputs per run, kept for resubmissions (rebuilt from URLs after a restart)
+const runInputs = new Map(); // runId -> { subjectImagesB64: Map<url, dataUrl>, referenceImagesB64[] }
+
+// Aborts a run's polling loops when it is cancelled
+const runControllers = new Map(); // runId -> AbortController
+
+// Live run events for /status/:runId/stream, emitted under the runId
+const runEvents = new EventEmitter();
+runEvents.setMaxListeners(0);
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes around so webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
+if (outputStorage.localDir) {
+  // Content-addressed, so a file never changes once written
+  app.use('/outputs', express.static(outputStorage.localDir, { maxAge: '365d', immutable: true }));
+}
+
+// With auth on, the UI and API need a user. Webhooks, /health, /login and the
+// generated / uploaded files stay public (WaveSpeed and Airtable fetch those).
+app.use(['/app', '/gallery', '/api', '/status'], requireUser);
 
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Converts image URL to base64 data URL
+ * Load the raw bytes of an input image (http(s) URL or `upload:<key>` reference)
  */
-async function urlToBase64DataUrl(imageUrl) {
-  try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.status}`);
+async function loadInputImage(imageRef) {
+  if (imageRef.startsWith(UPLOAD_REF_PREFIX)) {
+    const stored = await uploadStorage.read(imageRef.slice(UPLOAD_REF_PREFIX.length));
+    if (!stored) {
+      throw new InputImageError('Upload not found');
     }
-    const buffer = await response.buffer();
-    const base64 = buffer.toString('base64');
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    return `data:${contentType};base64,${base64}`;
+    return stored.buffer;
+  }
+
+  let response;
+  try {
+    response = await fetch(imageRef, { size: INPUT_MAX_DOWNLOAD_BYTES, timeout: INPUT_FETCH_TIMEOUT_MS });
   } catch (error) {
-    console.error(`Error converting URL to base64: ${imageUrl}`, error);
-    throw error;
+    throw new InputImageError(`Failed to fetch image: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new InputImageError(`Failed to fetch image: HTTP ${response.status}`);
   }
-}
 
-// Конвертирует URL картинки в base64 data URL
-async function convertUrlToBase64(imageUrl) {
   try {
-    console.log(`[Convert] Converting image: ${imageUrl}`);
-    const response = await fetch(imageUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: Failed to fetch image`);
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const base64 = Buffer.from(buffer).toString('base64');
-    const mimeType = response.headers.get('content-type') || 'image/jpeg';
-    const dataUrl = `data:${mimeType};base64,${base64}`;
-    
-    console.log(`[Convert] ✅ Successfully converted: ${imageUrl.substring(0, 50)}...`);
-    return dataUrl;
+    return await response.buffer();
   } catch (error) {
-    console.error(`[Convert] ❌ Failed to convert ${imageUrl}:`, error.message);
-    throw new Error(`Failed to convert image URL: ${error.message}`);
+    throw new InputImageError(error.type === 'max-size'
+      ? `Image is larger than ${INPUT_MAX_DOWNLOAD_BYTES} bytes`
+      : `Failed to fetch image: ${error.message}`);
   }
 }
 
+/**
+ * Input preparation stage: load, validate and normalize one image, returning
+ * the base64 data URL that goes into the WaveSpeed payload
+ */
+async function prepareInputImage(imageRef) {
+  const image = await normalizeInputImage(await loadInputImage(imageRef), {
+    maxPixels: INPUT_MAX_PIXELS,
+    maxBytes: INPUT_MAX_BYTES
+  });
+
+  if (image.changed) {
+    console.log(`[Input] ${imageRef.substring(0, 80)}: ${image.originalWidth}x${image.originalHeight} -> ${image.width}x${image.height} ${image.format}, ${image.buffer.length} bytes`);
+  }
 
+  return `data:${image.contentType};base64,${image.buffer.toString('base64')}`;
+}
 
 /**
- * Submit a single task to WaveSpeed API
+ * Prepare every distinct subject and all reference images of a batch.
+ * Returns { subjectImagesB64, referenceImagesB64, errors } where errors lists
+ * each image that could not be used: [{ role, url, error }].
  */
-async function submitWaveSpeedTask(prompt, subjectImageB64, referenceImagesB64, width, height, batchIndex) {
-  const images = [
-    { image: subjectImageB64, type: 'subject' },
-    ...referenceImagesB64.map(img => ({ image: img, type: 'reference' }))
-  ];
+async function prepareBatchInputs(tasks, referenceUrls) {
+  const subjectImagesB64 = new Map();
+  const referenceImagesB64 = [];
+  const errors = [];
 
-  const payload = {
-    prompt,
-    images,
-    width: parseInt(width),
-    height: parseInt(height),
-    num_inference_steps: 30,
-    guidance_scale: 7.5,
-    enable_base64_output: true,
-    webhook: `${PUBLIC_BASE_URL}/webhooks/wavespeed`
+  const prepare = async (role, url) => {
+    try {
+      return await prepareInputImage(url);
+    } catch (error) {
+      if (!(error instanceof InputImageError)) throw error;
+      errors.push({ role, url, error: error.message });
+      return null;
+    }
   };
 
-  const response = await fetch(WAVESPEED_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${WAVESPEED_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
+  for (const task of tasks) {
+    if (task.subjectUrl && !subjectImagesB64.has(task.subjectUrl)) {
+      subjectImagesB64.set(task.subjectUrl, await prepare('subject', task.subjectUrl));
+    }
+  }
+  for (const refUrl of referenceUrls) {
+    referenceImagesB64.push(await prepare('reference', refUrl));
+  }
+
+  return { subjectImagesB64, referenceImagesB64, errors };
+}
+
+/**
+ * Human-readable lines for prepareBatchInputs errors
+ */
+function describeInputErrors(errors) {
+  return errors.map(({ role, url, error }) => `${role} ${url}: ${error}`);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decode (data URL) or download (http URL) one generated image and store it.
+ * Returns { url, filename, key, sha256, size, contentType, sourceUrl }.
+ */
+async function storeOutputImage(output, requestId, index) {
+  let buffer;
+  let contentType;
+  let sourceUrl = null;
+
+  const dataUrlMatch = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(output);
+  if (dataUrlMatch) {
+    contentType = dataUrlMatch[1] || 'image/png';
+    buffer = dataUrlMatch[2]
+      ? Buffer.from(dataUrlMatch[3], 'base64')
+      : Buffer.from(decodeURIComponent(dataUrlMatch[3]));
+  } else {
+    sourceUrl = output;
+    const response = await fetch(output);
+    if (!response.ok) {
+      throw new Error(`Failed to download output: ${response.status}`);
+    }
+    buffer = await response.buffer();
+    contentType = (response.headers.get('content-type') || 'image/png').split(';')[0];
+  }
+
+  const stored = await outputStorage.save(buffer, contentType);
+  return {
+    url: `${PUBLIC_BASE_URL}/outputs/${stored.key}`,
+    filename: `${requestId}-${index + 1}${path.extname(stored.key)}`,
+    ...stored,
+    sourceUrl
+  };
+}
+
+/**
+ * Store an uploaded file and describe it for API responses
+ */
+async function saveUpload(file) {
+  // Trust the bytes, not the declared type
+  const contentType = contentTypeForFormat(detectImageFormat(file.buffer));
+  if (!contentType) {
+    const error = new Error(`${file.originalname} is not a JPEG, PNG or WebP image`);
+    error.status = 415;
+    throw error;
+  }
+
+  const stored = await uploadStorage.save(file.buffer, contentType);
+  return {
+    uploadId: `${UPLOAD_REF_PREFIX}${stored.key}`,
+    url: `${PUBLIC_BASE_URL}/uploads/${stored.key}`,
+    fileName: file.originalname,
+    sha256: stored.sha256,
+    size: stored.size,
+    contentType: stored.contentType
+  };
+}
+
+/**
+ * Express middleware: parse multipart/form-data (if that is what was sent) with
+ * `subject` / `references` files, storing the files and folding them into
+ * req.body as upload references so the JSON and multipart paths share validation
+ */
+function parseBatchUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.fields([
+    { name: 'subject', maxCount: 1 },
+    { name: 'references', maxCount: UPLOAD_MAX_FILES }
+  ])(req, res, async error => {
+    if (error) return next(error);
+
+    try {
+      const body = req.body;
+
+      // Multipart fields arrive as strings
+      for (const field of ['variables', 'subjectUrls']) {
+        if (typeof body[field] === 'string' && body[field].trim()) {
+          try {
+            body[field] = JSON.parse(body[field]);
+          } catch (parseError) {
+            const fieldError = new Error(`${field} must be valid JSON`);
+            fieldError.status = 400;
+            throw fieldError;
+          }
+        }
+      }
+      // A blank field is no references at all, so a preset's references still apply
+      if (typeof body.referenceUrls === 'string') {
+        const urls = body.referenceUrls.split(/[\s,]+/).filter(url => url.length > 0);
+        if (urls.length > 0) body.referenceUrls = urls;
+        else delete body.referenceUrls;
+      }
+      body.dryRun = body.dryRun === true || body.dryRun === 'true';
+
+      const files = req.files || {};
+      if (files.subject) {
+        body.subjectUrl = (await saveUpload(files.subject[0])).uploadId;
+      }
+      for (const file of files.references || []) {
+        body.referenceUrls = [...(body.referenceUrls || []), (await saveUpload(file)).uploadId];
+      }
+
+      next();
+    } catch (saveError) {
+      next(saveError);
+    }
   });
+}
+
+/**
+ * Turn upload/multer errors into JSON responses
+ */
+function uploadErrorHandler(error, req, res, next) {
+  if (error instanceof multer.MulterError) {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `File too large (max ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)} MB)`
+      : error.message;
+    return res.status(status).json({ error: message });
+  }
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  next(error);
+}
+
+/**
+ * Submit a single task to WaveSpeed API
+ *
+ * model: a lib/models.mjs entry; params: the model's parameters; seed may be null for jobs from older runs
+ */
+async function submitWaveSpeedTask(model, prompt, subjectImageB64, referenceImagesB64, width, height, params, seed) {
+  const payload = {
+    ...model.buildPayload({
+      prompt,
+      subjectImage: subjectImageB64,
+      referenceImages: referenceImagesB64,
+      width: parseInt(width),
+      height: parseInt(height),
+      params,
+      seed
+    }),
+    ...(WEBHOOKS_ENABLED ? { webhook: `${PUBLIC_BASE_URL}/webhooks/wavespeed` } : {})
+  };
+
+  let response;
+  try {
+    response = await waveSpeedFetch(`${WAVESPEED_API_BASE}/${model.endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${WAVESPEED_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+  } catch (error) {
+    dependencyHealth.failure('wavespeed', `Submission failed: ${error.message}`);
+    throw error;
+  }
+  recordWaveSpeedResponse(response, 'Submission');
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`WaveSpeed API error (${response.status}): ${errorText}`);
+    const error = new Error(`WaveSpeed API error (${response.status}): ${errorText}`);
+    error.status = response.status;
+    if (response.status === 429) {
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    }
+    throw error;
   }
 
   const result = await response.json();
   return result.data.id; // requestId
 }
 
+/**
+ * Count a WaveSpeed answer towards its health: 5xx and rejected credentials are failures,
+ * other 4xx (bad input, rate limits) show the API is up
+ */
+function recordWaveSpeedResponse(response, operation) {
+  if (response.status >= 500 || response.status === 401 || response.status === 403) {
+    dependencyHealth.failure('wavespeed', `${operation} failed (${response.status})`);
+  } else {
+    dependencyHealth.success('wavespeed');
+  }
+}
+
+/**
+ * Ask WaveSpeed to cancel a task; returns false where cancelling is not supported
+ */
+async function cancelWaveSpeedTask(requestId) {
+  const response = await waveSpeedFetch(`${WAVESPEED_RESULT_URL}/${requestId}/cancel`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${WAVESPEED_API_KEY}`
+    }
+  });
+
+  if (!response.ok) {
+    console.warn(`[Cancel] WaveSpeed did not cancel ${requestId} (${response.status})`);
+    return false;
+  }
+
+  console.log(`[Cancel] WaveSpeed cancelled ${requestId}`);
+  return true;
+}
+
+/**
+ * Cancel a running batch: drop queued submissions, stop polling, cancel pending tasks
+ */
+async function cancelBatch(runId) {
+  const batch = batchStore.get(runId);
+
+  batch.status = 'cancelled';
+  batch.cancelledAt = Date.now();
+  batch.spentCredits = runCredits(batch).spent;
+  persistBatch(runId);
+
+  const dequeued = submissionScheduler.cancelRun(runId, new Error('Run cancelled'));
+
+  const pendingIds = batch.requestIds.filter(requestId => jobStore.has(requestId) && !isJobSettled(requestId));
+  for (const requestId of pendingIds) {
+    const job = jobStore.get(requestId);
+    job.status = 'cancelled';
+    job.settledAt = Date.now();
+    persistJob(requestId);
+    submissionScheduler.release();
+  }
+
+  // Wake up any polling loop that is sleeping
+  if (runControllers.has(runId)) runControllers.get(runId).abort();
+  runControllers.delete(runId);
+  runInputs.delete(runId);
+
+  const results = await Promise.allSettled(pendingIds.map(requestId => cancelWaveSpeedTask(requestId)));
+  const providerCancelled = results.filter(result => result.status === 'fulfilled' && result.value).length;
+
+  console.log(`[Cancel] Run ${runId}: ${dequeued} queued tasks dropped, ${pendingIds.length} running tasks cancelled`);
+  emitRunEvent(runId, 'run-finished', { status: batch.status });
+
+  // The final write is retried until it lands, so it is not awaited here
+  updateResultRecords(runId, { final: true });
+  await Promise.all(pendingIds.map(requestId => syncTaskRecord(requestId)));
+  startWaitingRuns();
+
+  return {
+    dequeuedTasks: dequeued,
+    cancelledTasks: pendingIds.length,
+    providerCancelled
+  };
+}
+
 /**
  * Poll WaveSpeed API until task is done (with exponential backoff)
  */
 async function pollUntilDone(requestId, parentId, runId, maxRetries = 170, initialDelayMs = 7000) {
   let retries = 0;
   let delayMs = initialDelayMs;
+  const signal = getRunSignal(runId);
 
   while (retries < maxRetries) {
+    if (isJobSettled(requestId)) {
+      // A webhook got there first, or the run was cancelled
+      console.log(`[Polling] Task ${requestId}: already ${jobStore.get(requestId).status}, stopping`);
+      return jobStore.get(requestId).status === 'completed';
+    }
+
     try {
-      const response = await fetch(`${WAVESPEED_RESULT_URL}/${requestId}/result`, {
+      const response = await waveSpeedFetch(`${WAVESPEED_RESULT_URL}/${requestId}/result`, {
         headers: {
           'Authorization': `Bearer ${WAVESPEED_API_KEY}`
-        }
+        },
+        signal
       });
+      taskMetrics.polls.inc({ result: response.ok ? 'ok' : 'error' });
+      recordWaveSpeedResponse(response, 'Polling');
 
       if (!response.ok) {
         throw new Error(`Polling error: ${response.status}`);
@@ -145,30 +747,45 @@ async function pollUntilDone(requestId, parentId, runId, maxRetries = 170, initi
 
       console.log(`[Polling] Task ${requestId}: ${data.status}`);
 
+      const job = jobStore.get(requestId);
+      if (job && job.providerStatus !== data.status) {
+        job.providerStatus = data.status;
+        emitRunEvent(runId, 'task-status', { requestId, taskIndex: job.taskIndex, status: data.status });
+      }
+
       if (data.status === 'completed') {
         // Task completed successfully
-        await handleTaskCompletion(requestId, parentId, runId, data);
+        await handleTaskCompletion(requestId, parentId, runId, data, 'polling');
         return true;
       } else if (data.status === 'failed') {
         // Task failed
-        await handleTaskFailure(requestId, parentId, runId);
+        await handleTaskFailure(requestId, parentId, runId, 'polling', { kind: 'provider', message: data.error });
         return false;
       } else if (data.status === 'processing' || data.status === 'created') {
         // Still processing, continue polling
-        await sleep(delayMs);
+        await sleep(delayMs, signal);
         delayMs = Math.min(delayMs * 1.1, 15000); // Exponential backoff, max 15s
         retries++;
       }
     } catch (error) {
       console.error(`[Polling Error] Task ${requestId}:`, error);
+      if (signal.aborted) continue;
+      if (error.name === 'FetchError') {
+        // No answer at all
+        taskMetrics.polls.inc({ result: 'error' });
+        dependencyHealth.failure('wavespeed', `Polling failed: ${error.message}`);
+      }
       // Retry on network errors
       if (retries < maxRetries - 1) {
-        await sleep(delayMs);
+        await sleep(delayMs, signal);
         delayMs = Math.min(delayMs * 1.1, 15000);
         retries++;
       } else {
         // Max retries reached, mark as failed
-        await handleTaskFailure(requestId, parentId, runId);
+        await handleTaskFailure(requestId, parentId, runId, 'polling', {
+          kind: 'timeout',
+          message: `Polling failed: ${error.message}`
+        });
         return false;
       }
     }
@@ -176,264 +793,3262 @@ async function pollUntilDone(requestId, parentId, runId, maxRetries = 170, initi
 
   // Timeout reached
   console.warn(`[Timeout] Task ${requestId} did not complete within ${maxRetries * 7}s`);
-  await handleTaskFailure(requestId, parentId, runId);
+  await handleTaskFailure(requestId, parentId, runId, 'polling', {
+    kind: 'timeout',
+    message: 'Task did not complete before polling gave up'
+  });
   return false;
 }
 
 /**
- * Handle successful task completion
+ * Whether a job has already reached a terminal state
+ */
+function isJobSettled(requestId) {
+  const job = jobStore.get(requestId);
+  return Boolean(job) && ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+/**
+ * Handle successful task completion (first terminal event wins).
+ * A "completed" task without any output, or whose outputs could not be stored, is a failure.
  */
-async function handleTaskCompletion(requestId, parentId, runId, taskData) {
+async function handleTaskCompletion(requestId, parentId, runId, taskData, source = 'polling') {
   const batch = batchStore.get(runId);
   if (!batch) return;
 
-  // Extract images from task output
-  if (taskData.output && taskData.output.length > 0) {
-    // Download images and prepare for Airtable attachment
-    const attachments = [];
-    for (let i = 0; i < taskData.output.length; i++) {
-      const imageUrl = taskData.output[i];
-      attachments.push({ url: imageUrl });
+  if (isJobSettled(requestId)) {
+    console.log(`[Completion] Task ${requestId}: ignoring ${source} event, already ${jobStore.get(requestId).status}`);
+    return;
+  }
+
+  // Claim the job before the first await so a concurrent webhook/poll is ignored
+  const job = jobStore.get(requestId);
+  job.status = 'completed';
+  job.settledBy = source;
+  job.settledAt = Date.now();
+
+  const outputs = taskData.output || [];
+  if (outputs.length === 0) {
+    await recordTaskFailure(requestId, parentId, runId, source, {
+      kind: 'provider',
+      message: 'WaveSpeed reported the task as completed without any output'
+    });
+    return;
+  }
+
+  // Store every output under our own stable URL
+  const attachments = [];
+  for (let i = 0; i < outputs.length; i++) {
+    try {
+      attachments.push(await storeOutputImage(outputs[i], requestId, i));
+    } catch (error) {
+      console.error(`[Output Error] Task ${requestId}: output ${i + 1}:`, error);
+      job.outputErrors = [...(job.outputErrors || []), error.message];
+      // Keep a fetchable original rather than losing the image
+      if (/^https?:\/\//i.test(outputs[i])) {
+        attachments.push({ url: outputs[i], sourceUrl: outputs[i] });
+      }
     }
+  }
 
-    batch.outputImages = batch.outputImages || [];
-    batch.outputImages.push(...attachments);
+  if (attachments.length === 0) {
+    await recordTaskFailure(requestId, parentId, runId, source, {
+      kind: 'conversion',
+      message: `No output could be stored: ${job.outputErrors.join('; ')}`
+    });
+    return;
   }
 
+  batch.outputImages = batch.outputImages || [];
+  batch.outputImages.push(...attachments);
+  job.outputs = attachments.map(attachment => attachment.url);
+  job.outputFiles = attachments;
+  taskMetrics.completed.inc({ model: batchModelId(batch), source });
+  observeTaskDuration(batch, job);
+
   batch.seenIds.push(requestId);
-  jobStore.get(requestId).status = 'completed';
+  persistJob(requestId);
+  persistBatch(runId);
+  submissionScheduler.release();
+
+  console.log(`[Completion] Task ${requestId} marked as completed (via ${source})`);
+  emitRunEvent(runId, 'task-completed', {
+    requestId,
+    taskIndex: job.taskIndex,
+    outputs: job.outputs
+  });
 
-  console.log(`[Completion] Task ${requestId} marked as completed`);
+  await syncTaskRecord(requestId);
 
   // Check if all tasks are done
   await checkBatchCompletion(runId, parentId);
 }
 
 /**
- * Handle task failure
+ * Model id of a run, as used in metric labels
+ */
+function batchModelId(batch) {
+  return batch.model || DEFAULT_MODEL_ID;
+}
+
+function observeTaskDuration(batch, job) {
+  if (!job.submittedAt) return;
+  taskMetrics.duration.observe(
+    { model: batchModelId(batch), outcome: job.status },
+    (job.settledAt - job.submittedAt) / 1000
+  );
+}
+
+/**
+ * Handle task failure (first terminal event wins); retryable failures are resubmitted
+ *
+ * failure: { kind: 'provider' | 'timeout', message?, status? }
+ */
+async function handleTaskFailure(requestId, parentId, runId, source = 'polling', failure = {}) {
+  if (!batchStore.has(runId)) return;
+
+  if (isJobSettled(requestId)) {
+    console.log(`[Failure] Task ${requestId}: ignoring ${source} event, already ${jobStore.get(requestId).status}`);
+    return;
+  }
+
+  await recordTaskFailure(requestId, parentId, runId, source, failure);
+}
+
+/**
+ * WaveSpeed's error for a failed task as text (it is usually a string, sometimes an object)
+ */
+function providerErrorMessage(error) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  return error.message || JSON.stringify(error);
+}
+
+/**
+ * Mark a job as failed, remembering why and where it failed, then retry it or settle the run
+ *
+ * failure: { kind: 'provider' | 'timeout' | 'conversion', message?, status? }
  */
-async function handleTaskFailure(requestId, parentId, runId) {
+async function recordTaskFailure(requestId, parentId, runId, source, failure) {
   const batch = batchStore.get(runId);
-  if (!batch) return;
+  const job = jobStore.get(requestId);
+  const kind = failure.kind || 'provider';
+  const message = providerErrorMessage(failure.message) ||
+    (kind === 'provider' ? 'WaveSpeed failed the task without giving a reason' : FAILURE_SOURCES[kind]);
+  const decision = classifyTaskError({ status: failure.status, message, source: kind });
 
   batch.failedIds.push(requestId);
   batch.seenIds.push(requestId);
-  jobStore.get(requestId).status = 'failed';
+  job.status = 'failed';
+  job.settledBy = source;
+  job.settledAt = Date.now();
+  job.error = message;
+  job.errorCategory = decision.category;
+  job.failureSource = kind;
+  persistJob(requestId);
+  persistBatch(runId);
+  submissionScheduler.release();
+  taskMetrics.failed.inc({ model: batchModelId(batch), category: decision.category });
+  if (kind === 'timeout') taskMetrics.timedOut.inc({ model: batchModelId(batch) });
+  observeTaskDuration(batch, job);
+
+  console.log(`[Failure] Task ${requestId} marked as failed (via ${source}, ${kind}, ${decision.category}): ${message}`);
+
+  const willRetry = decision.retryable && job.retries + 1 < TASK_MAX_ATTEMPTS && batch.status === 'processing';
+  emitRunEvent(runId, 'task-failed', {
+    requestId,
+    taskIndex: job.taskIndex,
+    error: job.error,
+    errorCategory: job.errorCategory,
+    failureSource: kind,
+    willRetry
+  });
+
+  await syncTaskRecord(requestId);
 
-  console.log(`[Failure] Task ${requestId} marked as failed`);
+  if (willRetry) {
+    scheduleTaskRetry(runId, parentId, taskFromJob(job), job.retries + 1, requestId, decision, job.error);
+    return;
+  }
 
   // Check if all tasks are seen
   await checkBatchCompletion(runId, parentId);
 }
 
+/**
+ * Tasks of a run that failed for good (retried attempts excluded), with where they failed:
+ * [{ taskIndex, requestId, source, category, error }], source being a FAILURE_SOURCES key
+ */
+function finalTaskFailures(batch) {
+  const retriedIds = new Set(batch.retriedIds || []);
+  const taskFailures = batch.failedIds
+    .filter(requestId => !retriedIds.has(requestId) && jobStore.has(requestId))
+    .map(requestId => {
+      const job = jobStore.get(requestId);
+      return {
+        taskIndex: job.taskIndex || 0,
+        requestId,
+        // Jobs from before failure sources were recorded
+        source: job.failureSource || (job.errorCategory === 'timeout' ? 'timeout' : 'provider'),
+        category: job.errorCategory || null,
+        error: job.error || null
+      };
+    });
+  const submissionFailures = (batch.submissionFailures || []).map(failure => ({
+    taskIndex: failure.taskIndex,
+    requestId: failure.failureId,
+    source: 'submission',
+    category: failure.errorCategory,
+    error: failure.error
+  }));
+  return [...taskFailures, ...submissionFailures].sort((a, b) => a.taskIndex - b.taskIndex);
+}
+
+/**
+ * Terminal status of a run whose tasks have all settled: succeeded when every task
+ * produced images, partial when some did, timed_out when polling gave up on all the
+ * failed ones, failed otherwise
+ */
+function runOutcome(batch) {
+  const progress = runProgress(batch);
+  if (progress.failed === 0) return 'succeeded';
+  if (progress.completed > 0) return 'partial';
+  const failures = finalTaskFailures(batch);
+  return failures.length > 0 && failures.every(failure => failure.source === 'timeout') ? 'timed_out' : 'failed';
+}
+
 /**
  * Check if batch is complete (all tasks seen)
  */
 async function checkBatchCompletion(runId, parentId) {
   const batch = batchStore.get(runId);
-  if (!batch) return;
+  if (!batch || batch.status !== 'processing') return;
 
-  if (batch.seenIds.length === batch.requestIds.length) {
+  // seenIds also holds placeholder IDs for submissions that never got a requestId,
+  // so compare against the number of tasks the batch was asked for; failed
+  // attempts that were retried are superseded by their replacement
+  if (batch.seenIds.length - (batch.retriedIds || []).length >= batch.batchCount) {
     // All tasks have been processed
-    batch.status = 'completed';
-    await updateAirtableRecord(parentId, batch);
-    console.log(`[Batch Complete] Run ${runId}: All tasks processed`);
+    batch.status = runOutcome(batch);
+    batch.finishedAt = Date.now();
+    batch.spentCredits = runCredits(batch).spent;
+    persistBatch(runId);
+    runInputs.delete(runId);
+    runControllers.delete(runId);
+    emitRunEvent(runId, 'run-finished', { status: batch.status });
+    // Retried until it lands (see updateResultRecords), so callers don't wait for it
+    updateResultRecords(runId, { final: true });
+    console.log(`[Batch Complete] Run ${runId}: All tasks processed (${batch.status})`);
+    startWaitingRuns();
   }
 }
 
 /**
- * Sleep utility
+ * Task-level progress of a run (retried attempts are not counted twice)
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function runProgress(batch) {
+  const settled = batch.seenIds.length - (batch.retriedIds || []).length;
+  const failed = batch.failedIds.length - (batch.retriedIds || []).length;
+  return {
+    total: batch.batchCount,
+    settled,
+    completed: settled - failed,
+    failed
+  };
 }
 
 /**
- * Create parent record in Airtable
+ * Credits of a run: price per image, the estimate it was started with, what the
+ * completed tasks cost, and what it holds against the budget (its unfinished
+ * tasks count at full price until they settle)
  */
-async function createAirtableRecord(fields) {
-  const response = await fetch(AIRTABLE_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      fields,
-      typecast: true
-    })
+function runCredits(batch) {
+  const perImage = batch.creditsPerImage ?? priceTable.creditsPerImage(batch.model || DEFAULT_MODEL_ID, batch.width, batch.height);
+  const progress = runProgress(batch);
+  const spent = progress.completed * perImage;
+  return {
+    perImage,
+    estimated: batch.estimatedCredits ?? batch.batchCount * perImage,
+    spent,
+    reserved: batch.status === 'processing' ? (progress.total - progress.failed) * perImage : spent
+  };
+}
+
+/**
+ * Expected cost of a validated batch spec
+ */
+function estimateSpec(spec) {
+  return priceTable.estimate({
+    model: spec.model,
+    width: spec.width,
+    height: spec.height,
+    images: (spec.combinations ? spec.combinations.length : 1) * spec.batchCount
   });
+}
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Airtable create error: ${error}`);
+/**
+ * Check `credits` more against the budgets, counting every run started this
+ * UTC day / month (runs waiting for budget have not started)
+ */
+function checkRunBudget(credits) {
+  const now = Date.now();
+  const dayStart = periodStart(now, 'day');
+  const monthStart = periodStart(now, 'month');
+  const used = { day: 0, month: 0 };
+
+  for (const batch of batchStore.values()) {
+    if (batch.status === 'waiting_budget') continue;
+    const startedAt = batch.queuedAt || batch.startTime;
+    if (startedAt < monthStart) continue;
+    const { reserved } = runCredits(batch);
+    used.month += reserved;
+    if (startedAt >= dayStart) used.day += reserved;
   }
 
-  const result = await response.json();
-  return result.id;
+  return {
+    ...checkBudget({ credits, used, dailyCap: BUDGET_DAILY_CREDITS, monthlyCap: BUDGET_MONTHLY_CREDITS }),
+    action: BUDGET_EXCEEDED_ACTION
+  };
 }
 
 /**
- * Update Airtable record with batch results
+ * Human-readable reasons a run does not fit the budget
  */
-async function updateAirtableRecord(recordId, batch) {
-  const fieldsToUpdate = {
-    'Request IDs': batch.requestIds.join(','),
-    'Seen IDs': batch.seenIds.join(','),
-    'Failed IDs': batch.failedIds.join(','),
-    'Status': batch.failedIds.length > 0 ? 'completed' : 'completed',
-    'Last Update': new Date().toISOString(),
-    'Completed At': new Date().toISOString()
-  };
+function describeBudgetExceeded(estimate, budget) {
+  return budget.exceeded.map(period => {
+    const { cap, used } = budget[period];
+    return `${period === 'daily' ? 'Daily' : 'Monthly'} budget: ${used} of ${cap} credits used, this run needs ${estimate.credits}`;
+  });
+}
 
-  // Add output images as attachments if available
-  if (batch.outputImages && batch.outputImages.length > 0) {
-    fieldsToUpdate['Output'] = batch.outputImages;
-    if (batch.outputImages.length > 0 && batch.outputImages[0].url) {
-      fieldsToUpdate['Output URL'] = batch.outputImages[0].url;
-    }
+/**
+ * Full status of a run, as returned by /status/:runId
+ */
+function buildRunStatus(runId) {
+  const batch = batchStore.get(runId);
+
+  return {
+    runId,
+    status: batch.status,
+    prompt: batch.prompt,
+    batchCount: batch.batchCount,
+    totalTasks: batch.requestIds.length,
+    completedTasks: batch.seenIds.length,
+    failedTasks: batch.failedIds.length,
+    progress: runProgress(batch),
+    requestIds: batch.requestIds,
+    seenIds: batch.seenIds,
+    failedIds: batch.failedIds,
+    matrix: batch.matrix || null,
+    model: batch.model || DEFAULT_MODEL_ID,
+    user: batch.userId ? { id: batch.userId, name: batch.userName } : null,
+    generation: batch.generation || null,
+    preset: batch.preset || null,
+    credits: runCredits(batch),
+    budgetQueuedAt: batch.budgetQueuedAt || null,
+    queue: {
+      ...submissionScheduler.stats(),
+      positions: submissionScheduler.positions(runId)
+    },
+    tasks: batch.requestIds.map(requestId => {
+      const job = jobStore.get(requestId) || {};
+      return {
+        requestId,
+        taskIndex: job.taskIndex || 0,
+        status: job.status,
+        prompt: job.prompt,
+        subjectUrl: job.subjectUrl,
+        variables: job.variables || null,
+        seed: Number.isInteger(job.seed) ? job.seed : null,
+        params: job.params || null,
+        outputs: job.outputs || [],
+        outputFiles: (job.outputFiles || []).map(file => ({
+          url: file.url,
+          sha256: file.sha256 || null,
+          size: file.size || null,
+          contentType: file.contentType || null
+        })),
+        attempt: (job.retries || 0) + 1,
+        replaces: job.replaces || null,
+        replacedBy: job.replacedBy || null,
+        error: job.error || null,
+        errorCategory: job.errorCategory || null,
+        failureSource: job.status === 'failed' ? job.failureSource || 'provider' : null
+      };
+    }),
+    submissionFailures: batch.submissionFailures || [],
+    failure: batch.failure || null,
+    failures: finalTaskFailures(batch),
+    retriedTasks: (batch.retriedIds || []).length,
+    retries: batch.retryLog || [],
+    startTime: batch.startTime,
+    finishedAt: batch.finishedAt || null,
+    cancelledAt: batch.cancelledAt || null,
+    parentId: batch.parentId || null,
+    records: batch.records || (batch.parentId ? { airtable: batch.parentId } : {}),
+    sinkErrors: batch.sinkErrors || [],
+    elapsedSeconds: Math.round((Date.now() - batch.startTime) / 1000)
+  };
+}
+
+/**
+ * Status of a run as GET /status/:runId answers it, or null when it is unknown or not the user's
+ */
+function getRunStatus(runId, user = null) {
+  const batch = batchStore.get(runId);
+  return batch && canAccessRun(user, batch) ? buildRunStatus(runId) : null;
+}
+
+/**
+ * Publish a live event for a run's SSE subscribers (and createBatchRunner() listeners)
+ */
+function emitRunEvent(runId, type, data = {}) {
+  const batch = batchStore.get(runId);
+  if (!batch) return;
+  runEvents.emit(runId, {
+    type,
+    data: { runId, ...data, progress: runProgress(batch) }
+  });
+}
+
+/**
+ * Compact run summary for listings
+ */
+function summarizeRun(runId, batch) {
+  const endTime = batch.finishedAt || batch.cancelledAt || Date.now();
+  return {
+    runId,
+    status: batch.status,
+    prompt: batch.prompt,
+    model: batch.model || DEFAULT_MODEL_ID,
+    preset: batch.preset || null,
+    user: batch.userId ? { id: batch.userId, name: batch.userName } : null,
+    width: batch.width,
+    height: batch.height,
+    progress: runProgress(batch),
+    outputCount: (batch.outputImages || []).length,
+    thumbnails: (batch.outputImages || []).slice(0, 4).map(image => image.url),
+    creditsSpent: runCredits(batch).spent,
+    startTime: batch.startTime,
+    finishedAt: batch.finishedAt || batch.cancelledAt || null,
+    durationSeconds: Math.round((endTime - batch.startTime) / 1000)
+  };
+}
+
+/**
+ * Resolve the caller from an API key (`Authorization: Bearer` / `X-API-Key`) or the
+ * UI session cookie. Pages redirect to /login, API calls get 401.
+ * Without USERS_FILE everyone passes with req.user = null.
+ */
+function requireUser(req, res, next) {
+  if (!auth) {
+    req.user = null;
+    return next();
+  }
+
+  const authorization = req.get('authorization') || '';
+  const key = req.get('x-api-key') || (authorization.startsWith('Bearer ') ? authorization.slice(7) : null);
+  const user = key
+    ? auth.authenticateKey(key)
+    : auth.verifySession(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+
+  if (user) {
+    req.user = user;
+    return next();
+  }
+  if (!key && req.method === 'GET' && ['/app', '/gallery'].includes(req.baseUrl)) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: key ? 'Invalid API key' : 'Authentication required' });
+}
+
+/**
+ * Whether a user may see / cancel a run: admins see everything, users their own runs.
+ * In-process callers (createBatchRunner) pass no user and see every run; routes always have one.
+ */
+function canAccessRun(user, batch) {
+  return !auth || !user || user.role === 'admin' || batch.userId === user.id;
+}
+
+/**
+ * Whether a user may change / delete a preset: admins any, users the ones they created
+ */
+function canEditPreset(user, preset) {
+  return !auth || !user || user.role === 'admin' || preset.createdBy === user.id;
+}
+
+/**
+ * Quota violations of a new run with `totalTasks` images (none without auth)
+ */
+function checkUserQuotas(user, totalTasks) {
+  if (!user) return [];
+  const { runsPerDay, imagesPerRun, concurrentRuns } = user.quotas;
+  const ownRuns = [...batchStore.values()].filter(batch => batch.userId === user.id);
+  const errors = [];
+
+  if (imagesPerRun && totalTasks > imagesPerRun) {
+    errors.push(`This run has ${totalTasks} images, the limit is ${imagesPerRun} per run`);
+  }
+  const dayStart = periodStart(Date.now(), 'day');
+  const runsToday = ownRuns.filter(batch => (batch.budgetQueuedAt || batch.startTime) >= dayStart).length;
+  if (runsPerDay && runsToday >= runsPerDay) {
+    errors.push(`${runsToday} runs started today, the limit is ${runsPerDay} per day`);
+  }
+  const active = ownRuns.filter(batch => ['processing', 'waiting_budget'].includes(batch.status)).length;
+  if (concurrentRuns && active >= concurrentRuns) {
+    errors.push(`${active} runs still running, the limit is ${concurrentRuns} at a time`);
+  }
+  return errors;
+}
+
+/**
+ * Generate a unique run ID
+ */
+function generateRunId() {
+  return `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Validate a batch request body (shared by /api/batch and bulk imports).
+ * Returns { spec } on success or { error, details } on failure.
+ */
+function validateBatchRequest(request) {
+  const { body, preset, error } = resolvePresetRequest(request);
+  if (error) return { error, details: [`Available presets: ${[...presetStore.keys()].join(', ') || 'none'}`] };
+  const { prompt, subjectUrl, subjectUrls, variables, referenceUrls = [], width, height, batchCount } = body;
+
+  const modelId = body.model || DEFAULT_MODEL_ID;
+  const model = getModel(modelId);
+  if (!model) {
+    return { error: `Unknown model: ${modelId}`, details: [`Available models: ${listModelIds().join(', ')}`] };
+  }
+  const { limits } = model;
+
+  const hasSubject = Boolean(subjectUrl || (subjectUrls && subjectUrls.length));
+  if (!prompt || (limits.subjectRequired && !hasSubject) || !width || !height || !batchCount) {
+    return {
+      error: limits.subjectRequired
+        ? 'Missing required fields: prompt, subjectUrl (or subjectUrls), width, height, batchCount'
+        : 'Missing required fields: prompt, width, height, batchCount'
+    };
+  }
+
+  const details = [];
+  if (!limits.subjectRequired && hasSubject) {
+    details.push(`${model.id} does not take a subject image`);
+  }
+
+  if (subjectUrl && !isImageRef(subjectUrl)) details.push(`subjectUrl is not an http(s) URL or known upload: ${subjectUrl}`);
+  if (Array.isArray(subjectUrls)) {
+    for (const url of subjectUrls.filter(url => !isImageRef(url))) {
+      details.push(`Subject URL is not an http(s) URL or known upload: ${url}`);
+    }
+  }
+  if (!Array.isArray(referenceUrls)) {
+    details.push('referenceUrls must be an array');
+  } else {
+    for (const url of referenceUrls.filter(url => !isImageRef(url))) {
+      details.push(`Reference URL is not an http(s) URL or known upload: ${url}`);
+    }
+    if (referenceUrls.length > limits.maxReferences) {
+      details.push(limits.maxReferences === 0
+        ? `${model.id} does not take reference images`
+        : `${model.id} takes at most ${limits.maxReferences} reference images`);
+    }
+  }
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    const size = Number(value);
+    if (!Number.isInteger(size) || size < limits.minSize || size > limits.maxSize) {
+      details.push(`${name} must be an integer between ${limits.minSize} and ${limits.maxSize} for ${model.id}`);
+    }
+  }
+  const count = Number(batchCount);
+  if (!Number.isInteger(count) || count < 1 || count > 10) {
+    details.push('batchCount must be an integer between 1 and 10');
+  }
+  const generation = validateGenerationParams(body, model);
+  details.push(...generation.errors);
+  if (details.length > 0) {
+    return { error: 'Invalid batch request', details };
+  }
+
+  // Prompt matrix: expand {placeholders} against variables and the subject axis
+  let combinations = null;
+  if (variables || subjectUrls) {
+    const matrix = validatePromptMatrix(prompt, variables, subjectUrls, count);
+    if (matrix.error) return matrix;
+    combinations = expandMatrix(prompt, variables || {}, subjectUrls || []);
+  }
+
+  return {
+    spec: {
+      model: model.id,
+      prompt,
+      subjectUrl: subjectUrl || null,
+      subjectUrls,
+      variables,
+      referenceUrls,
+      width: Number(width),
+      height: Number(height),
+      batchCount: count,
+      combinations,
+      generation: generation.params,
+      preset: preset ? { name: preset.name, version: preset.version } : null
+    }
+  };
+}
+
+/**
+ * Check the variables / subject axis of a prompt matrix (shared by /api/batch and the estimate).
+ * Returns { error, details } when they are unusable, else { combinations }: 1 without a matrix.
+ */
+function validatePromptMatrix(prompt, variables, subjectUrls, count) {
+  if (!variables && !subjectUrls) return { combinations: 1 };
+
+  const errors = validateMatrix(prompt || '', variables || {}, subjectUrls || []);
+  if (errors.length > 0) {
+    return { error: 'Invalid prompt matrix', details: errors };
+  }
+
+  const combinations = countCombinations(variables || {}, subjectUrls || []);
+  if (combinations * count > MAX_BATCH_TASKS) {
+    return { error: `Prompt matrix expands to ${combinations * count} tasks, the limit is ${MAX_BATCH_TASKS}` };
+  }
+  return { combinations };
+}
+
+/**
+ * Whether a request value is an http(s) URL or the reference of a stored upload
+ */
+function isImageRef(value) {
+  if (typeof value !== 'string') return false;
+  if (/^https?:\/\//i.test(value)) return true;
+  return value.startsWith(UPLOAD_REF_PREFIX) && uploadStorage.exists(value.slice(UPLOAD_REF_PREFIX.length));
+}
+
+/**
+ * A batch request body with its named preset (if any) merged in, see lib/presets.mjs.
+ * Returns { body, preset }, or { error } for an unknown preset.
+ */
+function resolvePresetRequest(request) {
+  if (request.preset === undefined || request.preset === null || request.preset === '') {
+    return { body: request, preset: null };
+  }
+  const preset = presetStore.get(String(request.preset));
+  if (!preset) return { error: `Unknown preset: ${request.preset}` };
+  return { body: applyPreset(preset, request), preset };
+}
+
+/**
+ * Persist the current state of a batch
+ */
+function persistBatch(runId) {
+  const batch = batchStore.get(runId);
+  if (batch) store.saveBatch(runId, batch);
+}
+
+/**
+ * Persist the current state of a job
+ */
+function persistJob(requestId) {
+  const job = jobStore.get(requestId);
+  if (job) store.saveJob(requestId, job);
+}
+
+/**
+ * Persist the current state of a bulk import
+ */
+function persistImport(importId) {
+  const record = importStore.get(importId);
+  if (record) store.saveImport(importId, record);
+}
+
+function persistPreset(name) {
+  const preset = presetStore.get(name);
+  if (preset) {
+    store.savePreset(name, preset);
+  } else {
+    store.deletePreset(name);
+  }
+}
+
+/**
+ * Sleep utility
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Abort signal shared by all polling loops of a run
+ */
+function getRunSignal(runId) {
+  if (!runControllers.has(runId)) runControllers.set(runId, new AbortController());
+  return runControllers.get(runId).signal;
+}
+
+/**
+ * Fields of a run's record that are only written when it is created
+ */
+function parentRecordFields(runId, batch) {
+  return {
+    'Prompt': batch.prompt,
+    'Model': runModel(batch).name,
+    'Size': `${batch.width}x${batch.height}`,
+    'Run ID': runId,
+    'Created At': new Date(batch.startTime).toISOString(),
+    'Estimated Credits': runCredits(batch).estimated,
+    // Only with auth on, so tables without a User field keep working
+    ...(batch.userId ? { 'User': batch.userName || batch.userId } : {}),
+    // Likewise only for runs started from a preset
+    ...(batch.preset ? { 'Preset': `${batch.preset.name} v${batch.preset.version}` } : {})
+  };
+}
+
+/**
+ * Current result fields of a run
+ */
+function buildResultFields(batch) {
+  const fieldsToUpdate = {
+    'Request IDs': batch.requestIds.join(','),
+    'Seen IDs': batch.seenIds.join(','),
+    'Failed IDs': batch.failedIds.join(','),
+    'Status': batch.status,
+    'Last Update': new Date().toISOString(),
+    'Credits': runCredits(batch).spent
+  };
+  if (batch.finishedAt) fieldsToUpdate['Completed At'] = new Date(batch.finishedAt).toISOString();
+
+  // Why tasks (or the whole run) failed; only sent once there is something to say
+  const failures = finalTaskFailures(batch);
+  if (failures.length > 0 || batch.failure) {
+    fieldsToUpdate['Failure Reasons'] = [
+      ...(batch.failure ? [`Run: ${FAILURE_SOURCES[batch.failure.source]}: ${batch.failure.message}`, ...batch.failure.details] : []),
+      ...failures.map(failure => `Task ${failure.taskIndex + 1} (${failure.requestId}): ${FAILURE_SOURCES[failure.source]}: ${failure.error || failure.category}`)
+    ].join('\n');
+  }
+
+  // Record which variable values produced each task of a prompt matrix
+  if (batch.matrix) {
+    fieldsToUpdate['Variables'] = batch.requestIds
+      .map(requestId => {
+        const job = jobStore.get(requestId);
+        if (!job || !job.variables) return null;
+        const values = Object.entries(job.variables).map(([name, value]) => `${name}=${value}`);
+        if (batch.matrix.subjectUrls.length > 0) values.push(`subject=${job.subjectUrl}`);
+        return `${requestId}: ${values.join(', ')}`;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // With child records the per-task detail lives in the child table; the run keeps the totals
+  if (childRecorder) {
+    const progress = runProgress(batch);
+    fieldsToUpdate['Total Tasks'] = progress.total;
+    fieldsToUpdate['Completed Tasks'] = progress.completed;
+    fieldsToUpdate['Failed Tasks'] = progress.failed;
+  }
+
+  // Effective parameters and per-task seeds, so any image can be reproduced
+  if (batch.generation) {
+    fieldsToUpdate['Parameters'] = describeGenerationParams(batch.generation);
+    fieldsToUpdate['Seeds'] = batch.requestIds
+      .map(requestId => {
+        const job = jobStore.get(requestId);
+        return job && Number.isInteger(job.seed) ? `${requestId}: ${job.seed}` : null;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  if (batch.status === 'cancelled') {
+    fieldsToUpdate['Cancelled At'] = new Date(batch.cancelledAt).toISOString();
+  }
+
+  // Lineage of retried tasks: what failed, why, and what replaced it
+  if (batch.retryLog && batch.retryLog.length > 0) {
+    fieldsToUpdate['Retries'] = batch.retryLog
+      .map(entry => `Task ${entry.taskIndex + 1} attempt ${entry.attempt}: ${entry.failedId || 'not submitted'} → ` +
+        `${entry.replacementId || 'pending'} (${entry.category}${entry.error ? `: ${entry.error}` : ''})`)
+      .join('\n');
+  }
+
+  // Add output images as attachments if available (Airtable only accepts url/filename)
+  if (batch.outputImages && batch.outputImages.length > 0) {
+    fieldsToUpdate['Output'] = batch.outputImages.map(image =>
+      image.filename ? { url: image.url, filename: image.filename } : { url: image.url }
+    );
+    if (batch.outputImages.length > 0 && batch.outputImages[0].url) {
+      fieldsToUpdate['Output URL'] = batch.outputImages[0].url;
+    }
+  }
+
+  return fieldsToUpdate;
+}
+
+/**
+ * Remember results sink writes that failed even after retrying, so they show up on the run
+ */
+function recordSinkErrors(runId, errors) {
+  if (errors.length === 0) return;
+  const batch = batchStore.get(runId);
+  batch.sinkErrors = batch.sinkErrors || [];
+  for (const error of errors) {
+    console.error(`[Results Error] Run ${runId}: ${error.sink} ${error.operation} failed after ${error.attempts} attempt(s): ${error.error}`);
+    taskMetrics.sinkErrors.inc({ sink: error.sink, operation: error.operation });
+    batch.sinkErrors.push({ ...error, at: Date.now() });
+  }
+  // Keep the most recent failures only
+  batch.sinkErrors = batch.sinkErrors.slice(-50);
+}
+
+/**
+ * Results recorder of a run: intake runs write to their own Airtable row
+ */
+function recorderForRun(batch) {
+  return batch.intake && intakeRecorder ? intakeRecorder : resultsRecorder;
+}
+
+/**
+ * Write a run's current state to every results sink. Never throws: failed
+ * writes are retried by the recorder and then recorded on the run.
+ *
+ * The final write of a run (final: true) is retried until it lands; until it
+ * has, the run keeps finalWritePending so a restart writes it again.
+ */
+async function updateResultRecords(runId, { final = false } = {}) {
+  const batch = batchStore.get(runId);
+  const recorder = recorderForRun(batch);
+  // Runs from before results sinks only had an Airtable record
+  if (!batch.records) batch.records = batch.parentId ? { airtable: batch.parentId } : {};
+  if (final) {
+    batch.finalWritePending = true;
+    persistBatch(runId);
+  }
+
+  const { errors } = await recorder.update(batch.records, buildResultFields(batch), parentRecordFields(runId, batch), { final });
+  if (!batch.parentId) batch.parentId = batch.records[recorder.sinkNames[0]] || null;
+  recordSinkErrors(runId, errors);
+  if (final && errors.length === 0) batch.finalWritePending = false;
+  persistBatch(runId);
+
+  if (errors.length < recorder.sinkNames.length) {
+    console.log(`[Results] Run ${runId}: records updated`);
+  }
+}
+
+/**
+ * Link from a child record to its run's Airtable row (once that row exists)
+ */
+function childLinkFields(batch) {
+  // The link field points into AIRTABLE_TABLE, so rows of another intake table can't be linked
+  if (batch.intake && batch.intake.table !== AIRTABLE_TABLE) return {};
+  const parentRecordId = batch.records && batch.records.airtable;
+  return parentRecordId ? { [AIRTABLE_CHILD_LINK_FIELD]: [parentRecordId] } : {};
+}
+
+/**
+ * Create or update the child record of one task attempt (no-op unless child records are on)
+ */
+async function syncTaskRecord(requestId) {
+  const job = jobStore.get(requestId);
+  if (!childRecorder || !job) return;
+  const batch = batchStore.get(job.runId);
+
+  const settled = ['completed', 'failed', 'cancelled'].includes(job.status);
+  const fields = {
+    'Request ID': requestId,
+    'Run ID': job.runId,
+    'Task': (job.taskIndex || 0) + 1,
+    'Attempt': (job.retries || 0) + 1,
+    'Status': job.status,
+    'Prompt': job.prompt,
+    'Error': job.error || '',
+    'Error Category': job.errorCategory || '',
+    // Only on failed attempts, so tables without a Failure Source field keep working for the rest
+    ...(job.status === 'failed' ? { 'Failure Source': FAILURE_SOURCES[job.failureSource || 'provider'] } : {}),
+    'Seed': Number.isInteger(job.seed) ? job.seed : null,
+    'Parameters': job.params
+      ? describeGenerationParams({ ...job.params, seedStrategy: Number.isInteger(job.seed) ? 'fixed' : 'random', seed: job.seed })
+      : '',
+    'Output': (job.outputFiles || []).map(file =>
+      file.filename ? { url: file.url, filename: file.filename } : { url: file.url }
+    ),
+    'Latency (s)': settled && job.submittedAt && job.settledAt
+      ? Math.round((job.settledAt - job.submittedAt) / 100) / 10
+      : null,
+    'Replaced By': job.replacedBy || '',
+    ...childLinkFields(batch)
+  };
+
+  job.childRecords = job.childRecords || {};
+  const { errors } = await childRecorder.update(job.childRecords, fields);
+  persistJob(requestId);
+  if (errors.length > 0) {
+    recordSinkErrors(job.runId, errors);
+    persistBatch(job.runId);
+  }
+}
+
+/**
+ * Child record of a task that WaveSpeed never accepted
+ */
+async function syncFailureRecord(runId, failure) {
+  if (!childRecorder) return;
+  const batch = batchStore.get(runId);
+
+  failure.childRecords = failure.childRecords || {};
+  const { errors } = await childRecorder.update(failure.childRecords, {
+    'Request ID': failure.failureId,
+    'Run ID': runId,
+    'Task': failure.taskIndex + 1,
+    'Status': 'failed',
+    'Error': failure.error,
+    'Error Category': failure.errorCategory,
+    'Failure Source': FAILURE_SOURCES.submission,
+    'Seed': Number.isInteger(failure.seed) ? failure.seed : null,
+    ...childLinkFields(batch)
+  });
+  recordSinkErrors(runId, errors);
+  persistBatch(runId);
+}
+
+/**
+ * Expand a batch request into one entry per task to submit
+ */
+function buildBatchTasks(spec) {
+  const combinations = spec.combinations || [{ prompt: spec.prompt, subjectUrl: null, variables: null }];
+  const generation = spec.generation || { seedStrategy: 'random', seed: null };
+  const tasks = [];
+  for (const combination of combinations) {
+    for (let i = 0; i < parseInt(spec.batchCount); i++) {
+      tasks.push({
+        index: tasks.length,
+        prompt: combination.prompt,
+        subjectUrl: combination.subjectUrl || spec.subjectUrl,
+        variables: combination.variables,
+        seed: seedForTask(generation, tasks.length)
+      });
+    }
+  }
+  return tasks;
+}
+
+/**
+ * The task spec a job was submitted from (for resubmission)
+ */
+function taskFromJob(job) {
+  return {
+    index: job.taskIndex || 0,
+    prompt: job.prompt,
+    subjectUrl: job.subjectUrl,
+    variables: job.variables,
+    seed: Number.isInteger(job.seed) ? job.seed : null
+  };
+}
+
+/**
+ * Base64 subject and reference images for a task, converted once per run
+ */
+async function getTaskImages(runId, subjectUrl) {
+  if (!runInputs.has(runId)) {
+    const batch = batchStore.get(runId);
+    const referenceImagesB64 = [];
+    for (const refUrl of batch.referenceUrls || []) {
+      referenceImagesB64.push(await prepareInputImage(refUrl));
+    }
+    runInputs.set(runId, { subjectImagesB64: new Map(), referenceImagesB64 });
+  }
+
+  const inputs = runInputs.get(runId);
+  if (!subjectUrl) {
+    // Text-to-image models take no subject
+    return { subjectImageB64: null, referenceImagesB64: inputs.referenceImagesB64 };
+  }
+  if (!inputs.subjectImagesB64.has(subjectUrl)) {
+    inputs.subjectImagesB64.set(subjectUrl, await prepareInputImage(subjectUrl));
+  }
+
+  return {
+    subjectImageB64: inputs.subjectImagesB64.get(subjectUrl),
+    referenceImagesB64: inputs.referenceImagesB64
+  };
+}
+
+/**
+ * Registry entry of the model a run uses (runs from before the registry used the default model)
+ */
+function runModel(batch) {
+  return getModel(batch.model || DEFAULT_MODEL_ID);
+}
+
+/**
+ * Model parameters of a run (defaults for runs from before they existed)
+ */
+function taskParams(batch) {
+  return batch.generation ? modelParams(batch.generation) : defaultParams(runModel(batch));
+}
+
+/**
+ * Queue one submission attempt of a task on the global scheduler
+ */
+function submitTaskAttempt(runId, parentId, task, attempt = 1, replaces = null) {
+  const batch = batchStore.get(runId);
+
+  submissionScheduler.enqueue(runId, task.index + 1, async () => {
+    const { subjectImageB64, referenceImagesB64 } = await getTaskImages(runId, task.subjectUrl);
+    return submitWaveSpeedTask(
+      runModel(batch),
+      task.prompt,
+      subjectImageB64,
+      referenceImagesB64,
+      batch.width,
+      batch.height,
+      taskParams(batch),
+      task.seed
+    );
+  }).then(
+    requestId => handleTaskSubmitted(runId, parentId, task, requestId, attempt, replaces),
+    error => handleSubmissionFailure(runId, parentId, task, attempt, replaces, error)
+  );
+}
+
+/**
+ * Register a task WaveSpeed accepted and start polling it
+ */
+async function handleTaskSubmitted(runId, parentId, task, requestId, attempt, replaces) {
+  const batch = batchStore.get(runId);
+
+  if (batch.status === 'cancelled') {
+    // Was already on its way to WaveSpeed when the run got cancelled
+    submissionScheduler.release();
+    cancelWaveSpeedTask(requestId).catch(() => {});
+    return;
   }
 
-  const response = await fetch(`${AIRTABLE_API_URL}/${recordId}`, {
-    method: 'PATCH',
-    headers: {
-      'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      fields: fieldsToUpdate,
-      typecast: true
-    })
-  });
+  batch.requestIds.push(requestId);
+  taskMetrics.submitted.inc({ model: batchModelId(batch) });
+  jobStore.set(requestId, {
+    runId,
+    parentId,
+    status: 'submitted',
+    retries: attempt - 1,
+    replaces,
+    taskIndex: task.index,
+    prompt: task.prompt,
+    subjectUrl: task.subjectUrl,
+    variables: task.variables,
+    seed: task.seed,
+    params: taskParams(batch),
+    submittedAt: Date.now()
+  });
+  persistJob(requestId);
+
+  if (attempt > 1) {
+    // Close the lineage entry of the attempt this one replaces
+    const entry = batch.retryLog.find(item => item.taskIndex === task.index && item.attempt === attempt - 1);
+    if (entry) entry.replacementId = requestId;
+    if (replaces && jobStore.has(replaces)) {
+      jobStore.get(replaces).replacedBy = requestId;
+      persistJob(replaces);
+      syncTaskRecord(replaces);
+    }
+  }
+  persistBatch(runId);
+
+  console.log(`[Submission] Run ${runId}: Task ${task.index + 1}/${batch.batchCount} submitted as ${requestId}` +
+    (attempt > 1 ? ` (attempt ${attempt}, replaces ${replaces || 'failed submission'})` : ''));
+  emitRunEvent(runId, 'task-submitted', { requestId, taskIndex: task.index, attempt, replaces, seed: task.seed });
+
+  // Start polling for this task
+  pollUntilDone(requestId, parentId, runId).catch(error => {
+    console.error(`[Polling Error] Task ${requestId}:`, error);
+  });
+
+  // Update the run records with new request IDs
+  await Promise.all([updateResultRecords(runId), syncTaskRecord(requestId)]);
+}
+
+/**
+ * Handle a submission that WaveSpeed did not accept; retry or record a placeholder failure
+ */
+async function handleSubmissionFailure(runId, parentId, task, attempt, replaces, error) {
+  const batch = batchStore.get(runId);
+  if (batch.status === 'cancelled') {
+    console.log(`[Cancel] Run ${runId}: Task ${task.index + 1} dropped before submission`);
+    return;
+  }
+  console.error(`[Submission Error] Run ${runId}: Task ${task.index + 1}/${batch.batchCount} (attempt ${attempt}):`, error);
+
+  const decision = classifyTaskError({ status: error.status, message: error.message, source: 'submission' });
+  if (decision.retryable && attempt < TASK_MAX_ATTEMPTS && batch.status === 'processing') {
+    scheduleTaskRetry(runId, parentId, task, attempt, null, decision, error.message, replaces);
+    return;
+  }
+
+  // Mark task as failed immediately
+  taskMetrics.failed.inc({ model: batchModelId(batch), category: decision.category });
+  const failureId = `failed-${Date.now()}-${task.index}`;
+  batch.failedIds.push(failureId);
+  batch.seenIds.push(failureId);
+  batch.submissionFailures = batch.submissionFailures || [];
+  const failure = {
+    failureId,
+    taskIndex: task.index,
+    seed: task.seed,
+    error: error.message,
+    errorCategory: decision.category,
+    source: 'submission'
+  };
+  batch.submissionFailures.push(failure);
+  persistBatch(runId);
+  await syncFailureRecord(runId, failure);
+  emitRunEvent(runId, 'task-failed', {
+    requestId: failureId,
+    taskIndex: task.index,
+    error: error.message,
+    errorCategory: decision.category,
+    failureSource: 'submission',
+    willRetry: false
+  });
+
+  try {
+    await checkBatchCompletion(runId, parentId);
+  } catch (completionError) {
+    console.error(`[Batch Error] Run ${runId}:`, completionError);
+  }
+}
+
+/**
+ * Record a failed attempt in the run's lineage and resubmit the task after a backoff
+ */
+function scheduleTaskRetry(runId, parentId, task, attempt, failedId, decision, message, replaces = null) {
+  const batch = batchStore.get(runId);
+  const delayMs = retryDelayMs(attempt, TASK_RETRY_BASE_DELAY_MS, TASK_RETRY_MAX_DELAY_MS);
+
+  batch.retryLog = batch.retryLog || [];
+  batch.retriedIds = batch.retriedIds || [];
+  batch.retryLog.push({
+    taskIndex: task.index,
+    attempt,
+    failedId,
+    category: decision.category,
+    error: message || null,
+    retryAt: Date.now() + delayMs,
+    replacementId: null
+  });
+  if (failedId) batch.retriedIds.push(failedId);
+  persistBatch(runId);
+
+  console.log(`[Retry] Run ${runId}: Task ${task.index + 1} attempt ${attempt} failed (${decision.category}), ` +
+    `retrying in ${Math.round(delayMs / 1000)}s`);
+  emitRunEvent(runId, 'task-retrying', { taskIndex: task.index, attempt, failedId, retryInMs: delayMs });
+
+  setTimeout(() => {
+    if (batch.status !== 'processing') return;
+    submitTaskAttempt(runId, parentId, task, attempt + 1, failedId || replaces);
+  }, delayMs);
+}
+
+/**
+ * Fresh batch record for a validated spec and its tasks
+ */
+function newBatchRecord(spec, tasks, user = null) {
+  const estimate = estimateSpec(spec);
+  return {
+    requestIds: [],
+    seenIds: [],
+    failedIds: [],
+    retriedIds: [],
+    retryLog: [],
+    outputImages: [],
+    status: 'processing',
+    startTime: Date.now(),
+    prompt: spec.prompt,
+    referenceUrls: spec.referenceUrls || [],
+    width: parseInt(spec.width),
+    height: parseInt(spec.height),
+    batchCount: tasks.length,
+    imagesPerCombination: parseInt(spec.batchCount),
+    model: spec.model,
+    generation: spec.generation || null,
+    preset: spec.preset || null,
+    // Runs from the Airtable intake already have their row
+    intake: spec.intake || null,
+    ...(spec.intake ? { records: { airtable: spec.intake.recordId } } : {}),
+    creditsPerImage: estimate.creditsPerImage,
+    estimatedCredits: estimate.credits,
+    userId: user ? user.id : null,
+    userName: user ? user.name : null,
+    matrix: spec.combinations ? {
+      variables: spec.variables || {},
+      subjectUrls: spec.subjectUrls || [],
+      combinations: spec.combinations.length
+    } : null,
+    // Rebuilds the tasks: waiting runs start from it, resumed runs submit what never went out
+    spec
+  };
+}
+
+/**
+ * Hold a validated run back until the budget has room for it (BUDGET_EXCEEDED_ACTION=queue).
+ * The run is stored as waiting_budget with its spec; startWaitingRuns() starts it later.
+ */
+function queueRunForBudget(runId, spec, user = null) {
+  const batch = newBatchRecord(spec, buildBatchTasks(spec), user);
+  batch.status = 'waiting_budget';
+  batch.budgetQueuedAt = Date.now();
+  batchStore.set(runId, batch);
+  persistBatch(runId);
+  console.log(`[Budget] Run ${runId}: waiting for budget (${batch.estimatedCredits} credits)`);
+  return batch;
+}
+
+/**
+ * Start a validated run, or hold it back / refuse it when it would go over a budget.
+ * Returns { batch, estimate, budget }; batch is null when the budget refused the run,
+ * and failed (see submitBatch) when it could not be started.
+ */
+async function startRun(runId, spec, inputs = null, user = null) {
+  const estimate = estimateSpec(spec);
+  const budget = checkRunBudget(estimate.credits);
+  // Waiting runs go first, so a new run never overtakes them. In reject mode runs only wait
+  // when the mode was changed while they did, and they don't hold back runs that fit.
+  const othersWaiting = BUDGET_EXCEEDED_ACTION === 'queue' &&
+    [...batchStore.values()].some(batch => batch.status === 'waiting_budget');
+
+  if (budget.allowed && !othersWaiting) {
+    return { batch: await submitBatch(runId, spec, inputs, user), estimate, budget };
+  }
+  if (BUDGET_EXCEEDED_ACTION === 'queue') {
+    return { batch: queueRunForBudget(runId, spec, user), estimate, budget };
+  }
+  console.warn(`[Budget] Run refused: ${describeBudgetExceeded(estimate, budget).join('; ')}`);
+  return { batch: null, estimate, budget };
+}
+
+/**
+ * Validate, price and start a run from an /api/batch request body.
+ * Returns { status, body } as the API answers it; the HTTP route and
+ * createBatchRunner() (index.mjs) both start runs through here.
+ */
+async function createRunFromRequest(body, user = null) {
+  const reply = (status, payload) => ({ status, body: payload });
+
+  const validation = validateBatchRequest(body);
+  if (validation.error) {
+    return reply(400, { error: validation.error, details: validation.details });
+  }
+
+  const { spec } = validation;
+
+  const quotaErrors = checkUserQuotas(user, estimateSpec(spec).images);
+  if (quotaErrors.length > 0) {
+    return reply(429, { error: 'Quota exceeded', details: quotaErrors });
+  }
+
+  if (body.dryRun) {
+    const preview = spec.combinations || [{ prompt: spec.prompt, subjectUrl: spec.subjectUrl, variables: null }];
+    return reply(200, {
+      dryRun: true,
+      preset: spec.preset,
+      combinations: preview.map(combination => ({
+        ...combination,
+        subjectUrl: combination.subjectUrl || spec.subjectUrl
+      })),
+      imagesPerCombination: spec.batchCount,
+      totalTasks: preview.length * spec.batchCount,
+      estimate: estimateSpec(spec)
+    });
+  }
+
+  // Check every input image before anything is created or submitted
+  let inputs;
+  try {
+    inputs = await prepareBatchInputs(buildBatchTasks(spec), spec.referenceUrls);
+  } catch (error) {
+    console.error('Input preparation error:', error);
+    return reply(500, { error: error.message });
+  }
+  if (inputs.errors.length > 0) {
+    return reply(422, {
+      error: 'Invalid input images',
+      details: describeInputErrors(inputs.errors),
+      images: inputs.errors
+    });
+  }
+
+  const runId = generateRunId();
+
+  try {
+    const { batch, estimate, budget } = await startRun(runId, spec, inputs, user);
+
+    if (!batch && !budget.allowed) {
+      return reply(402, {
+        error: 'Budget exceeded',
+        details: describeBudgetExceeded(estimate, budget),
+        estimate,
+        budget
+      });
+    }
+    if (batch.status === 'failed') {
+      // Failed before anything was submitted; the run is kept with the reason
+      return reply(batch.failure.details.length > 0 ? 422 : 500, {
+        runId,
+        status: batch.status,
+        error: batch.failure.message,
+        details: batch.failure.details,
+        failure: batch.failure
+      });
+    }
+
+    if (batch.status === 'waiting_budget') {
+      return reply(202, {
+        runId,
+        status: batch.status,
+        totalTasks: batch.batchCount,
+        estimate,
+        budget,
+        message: 'Batch is waiting for budget'
+      });
+    }
+
+    return reply(200, {
+      runId,
+      parentId: batch.parentId,
+      records: batch.records,
+      sinkErrors: batch.sinkErrors || [],
+      totalTasks: batch.batchCount,
+      estimate,
+      message: 'Batch submitted successfully'
+    });
+  } catch (error) {
+    console.error('Batch submission error:', error);
+    return reply(500, { error: error.message });
+  }
+}
+
+/**
+ * Cancel a processing or waiting run; { status, body } as DELETE /api/batch/:runId answers
+ */
+async function cancelRunRequest(runId, user = null) {
+  const batch = batchStore.get(runId);
+
+  if (!batch || !canAccessRun(user, batch)) {
+    return { status: 404, body: { error: 'Batch not found' } };
+  }
+  if (batch.status !== 'processing' && batch.status !== 'waiting_budget') {
+    return { status: 409, body: { error: `Batch is already ${batch.status}` } };
+  }
+
+  try {
+    const result = await cancelBatch(runId);
+    return {
+      status: 200,
+      body: {
+        runId,
+        status: 'cancelled',
+        cancelledAt: batch.cancelledAt,
+        ...result,
+        keptOutputs: (batch.outputImages || []).length
+      }
+    };
+  } catch (error) {
+    console.error('Batch cancel error:', error);
+    return { status: 500, body: { error: error.message } };
+  }
+}
+
+let startingWaitingRuns = false;
+
+/**
+ * Start runs waiting for budget, oldest first, while they fit
+ */
+async function startWaitingRuns() {
+  if (startingWaitingRuns) return;
+  startingWaitingRuns = true;
+  try {
+    const waiting = [...batchStore]
+      .filter(([, batch]) => batch.status === 'waiting_budget')
+      .sort(([, a], [, b]) => a.budgetQueuedAt - b.budgetQueuedAt);
+
+    for (const [runId, batch] of waiting) {
+      if (!checkRunBudget(batch.estimatedCredits).allowed) break;
+      console.log(`[Budget] Run ${runId}: budget available, starting`);
+      const owner = batch.userId ? { id: batch.userId, name: batch.userName } : null;
+      const started = await submitBatch(runId, batch.spec, null, owner);
+      if (started.status === 'failed') {
+        console.error(`[Budget] Run ${runId}: could not be started: ${started.failure.message}`);
+      } else {
+        emitRunEvent(runId, 'run-started');
+      }
+    }
+  } catch (error) {
+    console.error('[Budget Error] Failed to start waiting runs:', error);
+  } finally {
+    startingWaitingRuns = false;
+  }
+}
+
+/**
+ * Submit batch of tasks with retry logic
+ *
+ * spec: { prompt, subjectUrl, referenceUrls, width, height, batchCount, combinations? }
+ * With `combinations` (see lib/matrix.mjs) every combination is submitted batchCount times.
+ * `inputs` are the prepareBatchInputs result if the caller already prepared the images.
+ * `user` (from lib/auth.mjs) is stamped on the run as its owner.
+ * Returns the batch; one that could not be started comes back failed, with batch.failure.
+ */
+async function submitBatch(runId, spec, inputs = null, user = null) {
+  const { referenceUrls = [] } = spec;
+  const tasks = buildBatchTasks(spec);
+
+  const batch = newBatchRecord(spec, tasks, user);
+  const waiting = batchStore.get(runId);
+  if (waiting && waiting.budgetQueuedAt) batch.budgetQueuedAt = waiting.budgetQueuedAt;
+
+  batchStore.set(runId, batch);
+  persistBatch(runId);
+
+  console.log(`[Batch Start] Run ${runId}: Starting ${tasks.length} tasks`);
+
+  // Prepare images (each distinct subject only once)
+  let prepared = inputs;
+  try {
+    prepared = prepared || await prepareBatchInputs(tasks, referenceUrls);
+  } catch (error) {
+    console.error(`[Batch Error] Run ${runId}: Failed to prepare input images:`, error);
+    return failBeforeSubmission(runId, { source: 'input', message: `Failed to prepare input images: ${error.message}` });
+  }
+  if (prepared.errors.length > 0) {
+    return failBeforeSubmission(runId, {
+      source: 'input',
+      message: 'Invalid input images',
+      details: describeInputErrors(prepared.errors)
+    });
+  }
+  const { subjectImagesB64, referenceImagesB64 } = prepared;
+
+  // Create the parent record in every results sink; a failing sink does not stop the run
+  const startFields = {
+    ...parentRecordFields(runId, batch),
+    'Status': 'processing',
+    'Last Update': new Date().toISOString(),
+    'Request IDs': '',
+    'Seen IDs': '',
+    'Failed IDs': ''
+  };
+  const recorder = recorderForRun(batch);
+  if (batch.intake) {
+    // The intake row already exists: fill in the run fields, leaving what the producer wrote
+    const rowFields = { ...startFields };
+    for (const field of INTAKE_INPUT_FIELDS) delete rowFields[field];
+    const { errors } = await recorder.update(batch.records, rowFields, startFields);
+    recordSinkErrors(runId, errors);
+  } else {
+    const { records, errors } = await recorder.create(startFields);
+    batch.records = records;
+    recordSinkErrors(runId, errors);
+  }
+  batch.parentId = batch.records[recorder.sinkNames[0]] || null;
+  persistBatch(runId);
+  const parentId = batch.parentId;
+  console.log(`[Results] Run ${runId}: ${batch.intake ? 'writing to' : 'created'} records ${JSON.stringify(batch.records)}`);
+
+  if (batch.status === 'cancelled') {
+    // Cancelled while inputs were being prepared; nothing to submit
+    await updateResultRecords(runId);
+    return batch;
+  }
+
+  runInputs.set(runId, { subjectImagesB64, referenceImagesB64 });
+  batch.queuedAt = Date.now();
+  persistBatch(runId);
+
+  // Queue tasks on the global scheduler; submissions carry on after we return
+  for (const task of tasks) {
+    submitTaskAttempt(runId, parentId, task);
+  }
+
+  return batch;
+}
+
+/**
+ * Settle a run that failed before any of its tasks was submitted.
+ * failure: { source, message, details? } (source is a FAILURE_SOURCES key), kept as batch.failure
+ */
+function failBeforeSubmission(runId, failure) {
+  const batch = batchStore.get(runId);
+  batch.status = 'failed';
+  batch.failure = { details: [], ...failure, at: Date.now() };
+  batch.finishedAt = Date.now();
+  batch.spentCredits = 0;
+  persistBatch(runId);
+
+  console.error(`[Batch Error] Run ${runId}: ${failure.message}` +
+    (batch.failure.details.length > 0 ? `:\n  ${batch.failure.details.join('\n  ')}` : ''));
+  emitRunEvent(runId, 'run-finished', { status: batch.status, failure: batch.failure });
+  // Retried until it lands (see updateResultRecords), so callers don't wait for it
+  updateResultRecords(runId, { final: true });
+  return batch;
+}
+
+/**
+ * Tasks of a resumed run that never reached WaveSpeed and are not about to be retried:
+ * [{ task, attempt }], attempt being the one to submit next
+ */
+function unsubmittedTasks(batch, pendingRetries) {
+  const accounted = new Set([
+    ...batch.requestIds.map(requestId => jobStore.get(requestId)).filter(Boolean).map(job => job.taskIndex || 0),
+    ...(batch.submissionFailures || []).map(failure => failure.taskIndex),
+    ...pendingRetries.map(entry => entry.taskIndex)
+  ]);
+  const tasks = batch.spec ? buildBatchTasks(batch.spec) : [];
+  const missing = [];
+  for (let index = 0; index < batch.batchCount; index++) {
+    if (accounted.has(index)) continue;
+    const attempts = (batch.retryLog || []).filter(entry => entry.taskIndex === index).map(entry => entry.attempt);
+    missing.push({
+      task: tasks[index] || { index, prompt: batch.prompt, subjectUrl: null, variables: null, seed: null },
+      attempt: attempts.length > 0 ? Math.max(...attempts) + 1 : 1
+    });
+  }
+  return missing;
+}
+
+/**
+ * Record a task that can't be submitted after a restart as failed, so the run keeps its task count
+ */
+async function recordUnsubmittedTask(runId, task) {
+  const batch = batchStore.get(runId);
+  const message = 'The server stopped before this task was submitted';
+  const failureId = `failed-${Date.now()}-${task.index}`;
+  batch.failedIds.push(failureId);
+  batch.seenIds.push(failureId);
+  batch.submissionFailures = batch.submissionFailures || [];
+  const failure = {
+    failureId,
+    taskIndex: task.index,
+    seed: task.seed,
+    error: message,
+    errorCategory: 'server_error',
+    source: 'submission'
+  };
+  batch.submissionFailures.push(failure);
+  persistBatch(runId);
+  taskMetrics.failed.inc({ model: batchModelId(batch), category: failure.errorCategory });
+  console.warn(`[Resume] Run ${runId}: task ${task.index + 1} was never submitted, marked as failed`);
+  await syncFailureRecord(runId, failure);
+}
+
+/**
+ * Reload unfinished runs from the store and resume polling their open jobs
+ */
+async function resumeUnfinishedRuns() {
+  for (const [runId, batch] of batchStore) {
+    if (batch.status !== 'processing') {
+      if (batch.finalWritePending) {
+        // Finished, but the last results write never landed
+        console.log(`[Resume] Run ${runId}: rewriting final results`);
+        updateResultRecords(runId, { final: true });
+      }
+      continue;
+    }
+
+    if (!batch.queuedAt && !batch.parentId) {
+      // Crashed before any task was queued; nothing was submitted
+      batch.status = 'failed';
+      batch.failure = {
+        source: 'submission',
+        message: 'The server stopped before any task was submitted',
+        details: [],
+        at: Date.now()
+      };
+      batch.finishedAt = batch.failure.at;
+      persistBatch(runId);
+      console.warn(`[Resume] Run ${runId}: never queued, marked as failed`);
+      continue;
+    }
+
+    // Retries that were waiting for their backoff when we went down
+    const retryLog = batch.retryLog || [];
+    const pendingRetries = retryLog.filter(entry =>
+      entry.failedId && !entry.replacementId && jobStore.has(entry.failedId) &&
+      !retryLog.some(other => other.taskIndex === entry.taskIndex && other.attempt > entry.attempt)
+    );
+
+    for (const entry of pendingRetries) {
+      console.log(`[Resume] Run ${runId}: resubmitting task ${entry.taskIndex + 1} (attempt ${entry.attempt + 1})`);
+      submitTaskAttempt(runId, batch.parentId, taskFromJob(jobStore.get(entry.failedId)), entry.attempt + 1, entry.failedId);
+    }
+
+    // Tasks still in the submission queue (or waiting to retry a refused submission) when we went down
+    const unsubmitted = unsubmittedTasks(batch, pendingRetries);
+    for (const { task, attempt } of unsubmitted) {
+      if (batch.spec) {
+        console.log(`[Resume] Run ${runId}: submitting task ${task.index + 1} (attempt ${attempt})`);
+        submitTaskAttempt(runId, batch.parentId, task, attempt);
+      } else {
+        // Stored before runs kept their spec, so the task can't be rebuilt
+        await recordUnsubmittedTask(runId, task);
+      }
+    }
+
+    const pendingIds = batch.requestIds.filter(requestId => {
+      const job = jobStore.get(requestId);
+      return job && !isJobSettled(requestId);
+    });
+
+    console.log(`[Resume] Run ${runId}: resuming ${pendingIds.length} pending tasks`);
+
+    for (const requestId of pendingIds) {
+      submissionScheduler.trackInFlight();
+      pollUntilDone(requestId, batch.parentId, runId).catch(error => {
+        console.error(`[Polling Error] Task ${requestId}:`, error);
+      });
+    }
+
+    if (pendingIds.length === 0 && pendingRetries.length === 0 && (unsubmitted.length === 0 || !batch.spec)) {
+      // Everything settled while we were down
+      await checkBatchCompletion(runId, batch.parentId).catch(error => {
+        console.error(`[Resume Error] Run ${runId}:`, error);
+      });
+    }
+  }
+}
+
+/**
+ * Submit the queued rows of a bulk import one run at a time
+ */
+async function processImport(importId) {
+  const record = importStore.get(importId);
+  if (!record) return;
+  const owner = auth && record.userId ? auth.getUser(record.userId) : null;
+
+  for (const row of record.rows) {
+    if (row.status !== 'queued') continue;
+
+    const validation = validateBatchRequest(row.request);
+    if (validation.error) {
+      row.status = 'invalid';
+      row.errors = [validation.error, ...(validation.details || [])];
+      persistImport(importId);
+      continue;
+    }
+
+    let inputs;
+    try {
+      inputs = await prepareBatchInputs(buildBatchTasks(validation.spec), validation.spec.referenceUrls);
+    } catch (error) {
+      inputs = { errors: [{ role: 'input', url: '', error: error.message }] };
+    }
+    if (inputs.errors.length > 0) {
+      row.status = 'invalid';
+      row.errors = ['Invalid input images', ...describeInputErrors(inputs.errors)];
+      persistImport(importId);
+      continue;
+    }
+
+    const quotaErrors = checkUserQuotas(owner, estimateSpec(validation.spec).images);
+    if (quotaErrors.length > 0) {
+      row.status = 'failed';
+      row.errors = ['Quota exceeded', ...quotaErrors];
+      persistImport(importId);
+      continue;
+    }
+
+    row.runId = generateRunId();
+    row.status = 'submitted';
+    persistImport(importId);
+
+    console.log(`[Import] ${importId}: Row ${row.row} starting as ${row.runId}`);
+
+    try {
+      const { batch, estimate, budget } = await startRun(row.runId, validation.spec, inputs, owner);
+      if (!batch) {
+        row.status = 'failed';
+        row.errors = ['Budget exceeded', ...describeBudgetExceeded(estimate, budget)];
+      } else if (batch.status === 'failed') {
+        row.status = 'failed';
+        row.errors = [batch.failure.message, ...batch.failure.details];
+      }
+    } catch (error) {
+      console.error(`[Import Error] ${importId}: Row ${row.row}:`, error);
+      row.status = 'failed';
+      row.errors = [error.message];
+    }
+    persistImport(importId);
+  }
+
+  console.log(`[Import] ${importId}: All rows submitted`);
+}
+
+/**
+ * Aggregate view of a bulk import, with each submitted row's state taken from its run
+ */
+function summarizeImport(record) {
+  const counts = { invalid: 0, queued: 0, running: 0, done: 0, failed: 0 };
+
+  const rows = record.rows.map(row => {
+    let status = row.status;
+    if (status === 'submitted') {
+      const batch = batchStore.get(row.runId);
+      status = batch && !['processing', 'waiting_budget'].includes(batch.status) ? 'done' : 'running';
+    }
+    counts[status]++;
+    return { row: row.row, status, runId: row.runId || null, errors: row.errors || [] };
+  });
+
+  return {
+    importId: record.importId,
+    format: record.format,
+    fileName: record.fileName,
+    createdAt: record.createdAt,
+    status: counts.queued + counts.running > 0 ? 'processing' : 'completed',
+    totalRows: rows.length,
+    counts,
+    rows
+  };
+}
+
+/**
+ * Start the run of a claimed Airtable intake row (see lib/airtable-intake.mjs).
+ * Returns { status, reasons } for a row that was not started, { status: null } once
+ * the run owns the row and writes its results there.
+ */
+async function startIntakeRow({ recordId, runId, request }) {
+  const validation = validateBatchRequest(request);
+  if (validation.error) {
+    return { status: 'invalid', reasons: [validation.error, ...(validation.details || [])] };
+  }
+  const spec = { ...validation.spec, intake: { table: AIRTABLE_INTAKE_TABLE, recordId } };
+
+  let inputs;
+  try {
+    inputs = await prepareBatchInputs(buildBatchTasks(spec), spec.referenceUrls);
+  } catch (error) {
+    inputs = { errors: [{ role: 'input', url: '', error: error.message }] };
+  }
+  if (inputs.errors.length > 0) {
+    return { status: 'invalid', reasons: ['Invalid input images', ...describeInputErrors(inputs.errors)] };
+  }
+
+  const { batch, estimate, budget } = await startRun(runId, spec, inputs);
+  if (!batch) {
+    return { status: 'failed', reasons: ['Budget exceeded', ...describeBudgetExceeded(estimate, budget)] };
+  }
+  if (batch.status === 'waiting_budget') {
+    // The run's records are written once it starts; until then the row just says it waits
+    airtableQueue.update(AIRTABLE_INTAKE_TABLE, recordId, { 'Status': batch.status, 'Last Update': new Date().toISOString() })
+      .catch(error => console.error(`[Airtable Intake] Row ${recordId}: ${error.message}`));
+  }
+  // A run that failed to start has already written why to the row
+  return { status: null };
+}
+
+// Worker that turns queued Airtable rows into runs; started with the background work
+const airtableIntake = AIRTABLE_INTAKE_ENABLED
+  ? createAirtableIntake({
+    baseUrl: AIRTABLE_BASE_URL,
+    token: AIRTABLE_TOKEN,
+    table: AIRTABLE_INTAKE_TABLE,
+    view: AIRTABLE_INTAKE_VIEW,
+    queue: airtableQueue,
+    omitFields: AIRTABLE_OMITTED_FIELDS,
+    start: startIntakeRow,
+    newRunId: generateRunId,
+    intervalMs: AIRTABLE_INTAKE_INTERVAL_MS,
+    baseDelayMs: SINK_RETRY_BASE_DELAY_MS,
+    fetchImpl: mockAirtable ? mockAirtable.fetch : fetch,
+    onResponse({ operation, ok, status, error }) {
+      if (ok) {
+        dependencyHealth.success('airtable');
+      } else {
+        dependencyHealth.failure('airtable', `intake ${operation} in ${AIRTABLE_INTAKE_TABLE} failed (${status || 'network error'}): ${error}`);
+      }
+    },
+    onRow({ outcome }) {
+      taskMetrics.intakeRows.inc({ outcome });
+    }
+  })
+  : null;
+
+// Webhook IDs seen within the tolerance window, for replay protection
+const seenWebhookIds = new Map(); // webhookId -> timestamp (seconds)
+
+/**
+ * Verify a WaveSpeed webhook signature.
+ *
+ * Signed content is `${webhook-id}.${webhook-timestamp}.${rawBody}`, HMAC-SHA256
+ * with the shared secret; `webhook-signature` carries one or more
+ * space-separated `v<n>,<hex>` entries.
+ */
+function verifyWebhookSignature(req) {
+  const webhookId = req.get('webhook-id');
+  const timestamp = parseInt(req.get('webhook-timestamp'));
+  const signatureHeader = req.get('webhook-signature');
+
+  if (!webhookId || !timestamp || !signatureHeader || !req.rawBody) {
+    return { ok: false, reason: 'Missing signature headers' };
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (Math.abs(nowSeconds - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'Timestamp outside tolerance window' };
+  }
+
+  const secret = WAVESPEED_WEBHOOK_SECRET.replace(/^whsec_/, '');
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${webhookId}.${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  const matches = signatureHeader.split(' ').some(entry => {
+    const signature = Buffer.from(entry.includes(',') ? entry.split(',')[1] : entry);
+    const expectedBuffer = Buffer.from(expected);
+    return signature.length === expectedBuffer.length && crypto.timingSafeEqual(signature, expectedBuffer);
+  });
+  if (!matches) {
+    return { ok: false, reason: 'Invalid signature' };
+  }
+
+  // Drop expired entries, then reject anything already delivered
+  for (const [id, seenAt] of seenWebhookIds) {
+    if (nowSeconds - seenAt > WEBHOOK_TOLERANCE_SECONDS) seenWebhookIds.delete(id);
+  }
+  if (seenWebhookIds.has(webhookId)) {
+    return { ok: false, reason: 'Replayed webhook' };
+  }
+  seenWebhookIds.set(webhookId, timestamp);
+
+  return { ok: true };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Escape text for inline HTML
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * "Signed in as" line for page headers (empty without auth)
+ */
+function userLinks(user) {
+  if (!user) return '';
+  return ` · ${escapeHtml(user.name)}${user.role === 'admin' ? ' (admin)' : ''} · <a href="/logout">Sign out</a>`;
+}
+
+/**
+ * GET /login - Sign-in form for the UI
+ */
+app.get('/login', (req, res) => {
+  if (!auth) return res.redirect('/app');
+
+  const next = safeRedirectPath(req.query.next);
+  const html = `
+    <!DOCTYPE html>
+    <html lang="ru">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>WaveSpeed Batch Generator — Sign in</title>
+      <style>
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+          max-width: 380px;
+          width: 100%;
+          padding: 40px;
+        }
+        h1 {
+          color: #333;
+          margin-bottom: 24px;
+          font-size: 24px;
+        }
+        label {
+          display: block;
+          margin-bottom: 8px;
+          color: #333;
+          font-weight: 500;
+          font-size: 14px;
+        }
+        input {
+          width: 100%;
+          padding: 12px;
+          margin-bottom: 16px;
+          border: 2px solid #e0e0e0;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+        input:focus {
+          outline: none;
+          border-color: #667eea;
+        }
+        button {
+          width: 100%;
+          padding: 14px;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+        .error {
+          margin-bottom: 16px;
+          padding: 12px;
+          border-radius: 8px;
+          background: #f8d7da;
+          color: #721c24;
+          font-size: 14px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>🎨 Sign in</h1>
+        ${req.query.error ? '<div class="error">Wrong user or password</div>' : ''}
+        <form method="post" action="/login">
+          <input type="hidden" name="next" value="${escapeHtml(next)}">
+          <label for="user">User</label>
+          <input type="text" id="user" name="user" autocomplete="username" required autofocus>
+          <label for="password">Password</label>
+          <input type="password" id="password" name="password" autocomplete="current-password" required>
+          <button type="submit">Sign in</button>
+        </form>
+      </div>
+    </body>
+    </html>
+  `;
+
+  res.send(html);
+});
+
+/**
+ * POST /login - Check user + password and set the session cookie
+ */
+app.post('/login', (req, res) => {
+  if (!auth) return res.redirect('/app');
+
+  const next = safeRedirectPath(req.body.next);
+  const user = auth.authenticatePassword(req.body.user, req.body.password);
+  if (!user) {
+    console.warn(`[Auth] Failed sign-in for ${req.body.user}`);
+    return res.redirect(`/login?error=1&next=${encodeURIComponent(next)}`);
+  }
+
+  res.cookie(SESSION_COOKIE, auth.createSession(user), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: PUBLIC_BASE_URL.startsWith('https://'),
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000
+  });
+  console.log(`[Auth] ${user.id} signed in`);
+  res.redirect(next);
+});
+
+/**
+ * GET /logout - End the UI session
+ */
+app.get('/logout', (req, res) => {
+  res.clearCookie(SESSION_COOKIE);
+  res.redirect(auth ? '/login' : '/app');
+});
+
+/**
+ * GET /api/me - The signed-in user and their quotas (null without auth)
+ */
+app.get('/api/me', (req, res) => {
+  res.json({
+    user: req.user ? { id: req.user.id, name: req.user.name, role: req.user.role, quotas: req.user.quotas } : null
+  });
+});
+
+/**
+ * GET /app - Serve the UI form
+ */
+app.get('/app', (req, res) => {
+  const html = `
+    <!DOCTYPE html>
+    <html lang="ru">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>WaveSpeed Batch Generator</title>
+      <style>
+        * {
+          margin: 0;
+          padding: 0;
+          box-sizing: border-box;
+        }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          min-height: 100vh;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
+        }
+        .container {
+          background: white;
+          border-radius: 12px;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+          max-width: 600px;
+          width: 100%;
+          padding: 40px;
+        }
+        h1 {
+          color: #333;
+          margin-bottom: 10px;
+          font-size: 28px;
+        }
+        .subtitle {
+          color: #666;
+          margin-bottom: 30px;
+          font-size: 14px;
+        }
+        .form-group {
+          margin-bottom: 24px;
+        }
+        label {
+          display: block;
+          color: #333;
+          font-weight: 600;
+          margin-bottom: 8px;
+          font-size: 14px;
+        }
+        input[type="text"],
+        input[type="number"],
+        textarea {
+          width: 100%;
+          padding: 12px 16px;
+          border: 2px solid #e0e0e0;
+          border-radius: 8px;
+          font-family: inherit;
+          font-size: 14px;
+          transition: border-color 0.3s;
+        }
+        input[type="text"]:focus,
+        input[type="number"]:focus,
+        textarea:focus {
+          outline: none;
+          border-color: #667eea;
+          box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+        }
+        textarea {
+          resize: vertical;
+          min-height: 100px;
+          font-family: 'Monaco', 'Menlo', monospace;
+          font-size: 13px;
+        }
+        .input-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+        }
+        .input-row.full {
+          grid-template-columns: 1fr;
+        }
+        button {
+          width: 100%;
+          padding: 14px 20px;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 16px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: transform 0.2s, box-shadow 0.2s;
+        }
+        button:hover {
+          transform: translateY(-2px);
+          box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
+        }
+        button:active {
+          transform: translateY(0);
+        }
+        button:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+          transform: none;
+        }
+        .message {
+          margin-top: 20px;
+          padding: 16px;
+          border-radius: 8px;
+          display: none;
+          font-size: 14px;
+        }
+        .message.success {
+          background: #d4edda;
+          color: #155724;
+          border: 1px solid #c3e6cb;
+          display: block;
+        }
+        .message.error {
+          background: #f8d7da;
+          color: #721c24;
+          border: 1px solid #f5c6cb;
+          display: block;
+        }
+        .message.info {
+          background: #d1ecf1;
+          color: #0c5460;
+          border: 1px solid #bee5eb;
+          display: block;
+        }
+        .helper-text {
+          font-size: 12px;
+          color: #999;
+          margin-top: 6px;
+        }
+        .cost-estimate {
+          margin-bottom: 16px;
+          padding: 10px 14px;
+          border-radius: 8px;
+          background: #f0f0f0;
+          color: #555;
+          font-size: 13px;
+        }
+        .cost-estimate.over-budget {
+          background: #fff3cd;
+          color: #856404;
+        }
+        .loader {
+          display: inline-block;
+          width: 12px;
+          height: 12px;
+          border: 2px solid #f3f3f3;
+          border-top: 2px solid #667eea;
+          border-radius: 50%;
+          animation: spin 1s linear infinite;
+          margin-right: 8px;
+          vertical-align: middle;
+        }
+        @keyframes spin {
+          0% { transform: rotate(0deg); }
+          100% { transform: rotate(360deg); }
+        }
+        .section-divider {
+          border: none;
+          border-top: 1px solid #e0e0e0;
+          margin: 32px 0 24px;
+        }
+        h2 {
+          color: #333;
+          margin-bottom: 10px;
+          font-size: 20px;
+        }
+        input[type="file"] {
+          width: 100%;
+          padding: 12px 16px;
+          border: 2px dashed #e0e0e0;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+        .message {
+          white-space: pre-line;
+        }
+        button.secondary {
+          margin-top: 12px;
+          background: white;
+          color: #721c24;
+          border: 2px solid #f5c6cb;
+        }
+        button.secondary:hover {
+          box-shadow: 0 10px 20px rgba(114, 28, 36, 0.15);
+        }
+        button.neutral {
+          margin-top: 12px;
+          background: white;
+          color: #667eea;
+          border: 2px solid #667eea;
+        }
+        .preset-row {
+          display: grid;
+          grid-template-columns: 1fr auto;
+          gap: 8px;
+        }
+        .preset-row button {
+          width: auto;
+          margin-top: 0;
+          padding: 10px 16px;
+          font-size: 14px;
+        }
+        .progress-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+        .connection-state {
+          font-size: 12px;
+          padding: 4px 10px;
+          border-radius: 12px;
+          background: #f0f0f0;
+          color: #666;
+        }
+        .connection-state.live {
+          background: #d4edda;
+          color: #155724;
+        }
+        .connection-state.reconnecting,
+        .connection-state.partial,
+        .connection-state.timed_out {
+          background: #fff3cd;
+          color: #856404;
+        }
+        .connection-state.succeeded {
+          background: #d4edda;
+          color: #155724;
+        }
+        .connection-state.failed,
+        .connection-state.cancelled {
+          background: #f8d7da;
+          color: #721c24;
+        }
+        .progress-bar {
+          height: 12px;
+          margin: 16px 0 8px;
+          background: #f0f0f0;
+          border-radius: 6px;
+          overflow: hidden;
+        }
+        .progress-fill {
+          height: 100%;
+          width: 0;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          transition: width 0.4s;
+        }
+        .task-table {
+          width: 100%;
+          margin-top: 16px;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+        .task-table th,
+        .task-table td {
+          text-align: left;
+          padding: 6px 8px;
+          border-bottom: 1px solid #f0f0f0;
+        }
+        .task-table td.mono {
+          font-family: 'Monaco', 'Menlo', monospace;
+          font-size: 11px;
+          word-break: break-all;
+        }
+        .task-status {
+          font-weight: 600;
+        }
+        .task-status.completed { color: #155724; }
+        .task-status.failed,
+        .task-status.cancelled { color: #721c24; }
+        .task-status.retrying { color: #856404; }
+        .task-error {
+          font-weight: 400;
+          font-size: 11px;
+          color: #666;
+        }
+        .thumbnails {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+          gap: 8px;
+          margin-top: 16px;
+        }
+        .thumbnails img {
+          width: 100%;
+          aspect-ratio: 1;
+          object-fit: cover;
+          border-radius: 8px;
+        }
+        .drop-zone {
+          margin-top: 8px;
+          padding: 16px;
+          border: 2px dashed #e0e0e0;
+          border-radius: 8px;
+          text-align: center;
+          font-size: 13px;
+          color: #999;
+          cursor: pointer;
+          transition: border-color 0.3s, background 0.3s;
+        }
+        .drop-zone.dragover {
+          border-color: #667eea;
+          background: #f5f6ff;
+        }
+        details.form-group summary {
+          font-weight: 600;
+          color: #333;
+          cursor: pointer;
+          margin-bottom: 12px;
+        }
+        select {
+          width: 100%;
+          padding: 12px 16px;
+          border: 2px solid #e0e0e0;
+          border-radius: 8px;
+          font-size: 14px;
+          background: white;
+        }
+        .upload-previews {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 8px;
+        }
+        .upload-preview {
+          position: relative;
+          width: 72px;
+          height: 72px;
+        }
+        .upload-preview img {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+          border-radius: 6px;
+        }
+        .upload-preview button {
+          position: absolute;
+          top: -6px;
+          right: -6px;
+          width: 20px;
+          height: 20px;
+          padding: 0;
+          border-radius: 50%;
+          font-size: 12px;
+          line-height: 20px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>🎨 WaveSpeed Batch Generator</h1>
+        <p class="subtitle">Generate multiple images with WaveSpeed models · <a href="/gallery">Run history</a>${userLinks(req.user)}</p>
+
+        <form id="batchForm">
+          <div class="form-group">
+            <label for="preset">Preset</label>
+            <div class="preset-row">
+              <select id="preset" name="preset"><option value="">None</option></select>
+              <button type="button" id="savePresetBtn" class="neutral">Save as preset</button>
+            </div>
+            <div class="helper-text" id="presetHint"></div>
+          </div>
+
+          <div class="form-group">
+            <label for="model">Model *</label>
+            <select id="model" name="model"></select>
+          </div>
+
+          <div class="form-group">
+            <label for="prompt">Prompt *</label>
+            <textarea id="prompt" name="prompt" placeholder="Describe what you want to generate..." required></textarea>
+            <div class="helper-text">Detailed prompts produce better results</div>
+          </div>
+
+          <div class="form-group" id="subjectGroup">
+            <label for="subjectUrl">Subject Image *</label>
+            <input type="text" id="subjectUrl" name="subjectUrl" placeholder="https://example.com/subject.jpg">
+            <div id="subjectDrop" class="drop-zone">Drop an image here or click to upload</div>
+            <input type="file" id="subjectFile" accept="image/png,image/jpeg,image/webp" hidden>
+            <div id="subjectPreviews" class="upload-previews"></div>
+            <div class="helper-text">Primary image to be edited/referenced: paste a URL or upload a file</div>
+          </div>
+
+          <div class="form-group" id="referenceGroup">
+            <label for="referenceUrls">Reference Image URLs (comma-separated)</label>
+            <textarea id="referenceUrls" name="referenceUrls" placeholder="https://example.com/ref1.jpg, https://example.com/ref2.jpg"></textarea>
+            <div id="referenceDrop" class="drop-zone">Drop reference images here or click to upload</div>
+            <input type="file" id="referenceFiles" accept="image/png,image/jpeg,image/webp" multiple hidden>
+            <div id="referencePreviews" class="upload-previews"></div>
+            <div class="helper-text">Optional: Additional reference images for style/composition (<span id="referenceLimit"></span>PNG, JPEG or WebP, up to ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)} MB each)</div>
+          </div>
+
+          <div class="form-group">
+            <div class="input-row">
+              <div>
+                <label for="width">Width *</label>
+                <input type="number" id="width" name="width" value="512" min="256" max="2048" required>
+              </div>
+              <div>
+                <label for="height">Height *</label>
+                <input type="number" id="height" name="height" value="512" min="256" max="2048" required>
+              </div>
+            </div>
+            <div class="helper-text" id="sizeHint"></div>
+          </div>
+
+          <div class="form-group">
+            <label for="batchCount">Batch Count *</label>
+            <input type="number" id="batchCount" name="batchCount" value="3" min="1" max="10" required>
+            <div class="helper-text">Number of images to generate (1-10)</div>
+          </div>
+
+          <details class="form-group">
+            <summary>Generation Parameters</summary>
+
+            <div id="modelParams"></div>
+
+            <div class="form-group">
+              <div class="input-row">
+                <div>
+                  <label for="seedStrategy">Seed</label>
+                  <select id="seedStrategy" name="seedStrategy">
+                    <option value="random">Random per image</option>
+                    <option value="fixed">Fixed</option>
+                    <option value="sequential">Sequential from base seed</option>
+                  </select>
+                </div>
+                <div>
+                  <label for="seed">Seed Value</label>
+                  <input type="number" id="seed" name="seed" min="0" max="2147483647" disabled>
+                </div>
+              </div>
+              <div class="helper-text">The seed used for every image is shown in the run progress and recorded in Airtable</div>
+            </div>
+          </details>
+
+          <div id="costEstimate" class="cost-estimate">Estimating cost...</div>
+
+          <button type="submit" id="submitBtn">
+            <span id="btnText">Start Batch Generation</span>
+          </button>
+        </form>
+
+        <div id="message" class="message"></div>
+
+        <div id="progressView" style="display: none;">
+          <div class="progress-header">
+            <h2>⏳ Run Progress</h2>
+            <span id="connectionState" class="connection-state">Connecting...</span>
+          </div>
+          <div id="progressRunId" class="helper-text"></div>
+          <div class="progress-bar"><div id="progressFill" class="progress-fill"></div></div>
+          <div id="progressText" class="helper-text"></div>
+
+          <table class="task-table">
+            <thead>
+              <tr><th>#</th><th>Request ID</th><th>Seed</th><th>Status</th></tr>
+            </thead>
+            <tbody id="taskRows"></tbody>
+          </table>
+
+          <div id="thumbnails" class="thumbnails"></div>
+
+          <button type="button" id="cancelBtn" class="secondary">
+            <span id="cancelBtnText">Cancel Run</span>
+          </button>
+          <button type="button" id="newBatchBtn" class="neutral">New Batch</button>
+        </div>
+
+        <hr class="section-divider">
+
+        <h2>📄 Bulk Import</h2>
+        <p class="subtitle">One batch per row: prompt, subjectUrl, referenceUrls, width/height (or size), batchCount</p>
+
+        <form id="importForm">
+          <div class="form-group">
+            <label for="importFile">CSV or JSONL file *</label>
+            <input type="file" id="importFile" name="importFile" accept=".csv,.jsonl,.ndjson,text/csv" required>
+            <div class="helper-text">Invalid rows are reported and skipped, valid rows are submitted one after another</div>
+          </div>
+
+          <button type="submit" id="importBtn">
+            <span id="importBtnText">Import Batches</span>
+          </button>
+        </form>
+
+        <div id="importMessage" class="message"></div>
+      </div>
+
+      <script>
+        const form = document.getElementById('batchForm');
+        const submitBtn = document.getElementById('submitBtn');
+        const messageDiv = document.getElementById('message');
+        const btnText = document.getElementById('btnText');
+        const cancelBtn = document.getElementById('cancelBtn');
+        const cancelBtnText = document.getElementById('cancelBtnText');
+        const FAILURE_SOURCES = ${JSON.stringify(FAILURE_SOURCES)};
+        let currentRunId = null;
+
+        // Uploaded images, as returned by /api/uploads
+        let subjectUpload = null;
+        let referenceUploads = [];
+
+        async function uploadFiles(files) {
+          const formData = new FormData();
+          for (const file of files) {
+            formData.append('files', file);
+          }
+
+          const response = await fetch('/api/uploads', { method: 'POST', body: formData });
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+          }
+          return data.uploads;
+        }
+
+        function renderUploads() {
+          renderPreviews('subjectPreviews', subjectUpload ? [subjectUpload] : [], () => {
+            subjectUpload = null;
+          });
+          renderPreviews('referencePreviews', referenceUploads, (upload) => {
+            referenceUploads = referenceUploads.filter(item => item !== upload);
+          });
+        }
+
+        function renderPreviews(containerId, uploads, onRemove) {
+          const container = document.getElementById(containerId);
+          container.innerHTML = '';
+          for (const upload of uploads) {
+            const preview = document.createElement('div');
+            preview.className = 'upload-preview';
+            preview.title = upload.fileName || upload.uploadId;
+
+            const img = document.createElement('img');
+            img.src = upload.url;
+            preview.appendChild(img);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.textContent = '×';
+            removeBtn.addEventListener('click', () => {
+              onRemove(upload);
+              renderUploads();
+            });
+            preview.appendChild(removeBtn);
+
+            container.appendChild(preview);
+          }
+        }
+
+        function setupDropZone(zoneId, inputId, onFiles) {
+          const zone = document.getElementById(zoneId);
+          const input = document.getElementById(inputId);
+          const label = zone.textContent;
+
+          const handleFiles = async (files) => {
+            if (files.length === 0) return;
+            zone.textContent = 'Uploading...';
+            try {
+              onFiles(await uploadFiles(files));
+              renderUploads();
+            } catch (error) {
+              showMessage(\`Upload error: \${error.message}\`, 'error');
+            } finally {
+              zone.textContent = label;
+              input.value = '';
+            }
+          };
+
+          zone.addEventListener('click', () => input.click());
+          input.addEventListener('change', () => handleFiles(Array.from(input.files)));
+          zone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zone.classList.add('dragover');
+          });
+          zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+          zone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zone.classList.remove('dragover');
+            handleFiles(Array.from(e.dataTransfer.files));
+          });
+        }
+
+        setupDropZone('subjectDrop', 'subjectFile', (uploads) => {
+          subjectUpload = uploads[0];
+          document.getElementById('subjectUrl').value = '';
+        });
+        setupDropZone('referenceDrop', 'referenceFiles', (uploads) => {
+          referenceUploads = referenceUploads.concat(uploads);
+        });
+
+        // Model registry: the form shows the parameters and limits of the selected model
+        const modelSelect = document.getElementById('model');
+        let models = [];
+
+        function selectedModel() {
+          return models.find(model => model.id === modelSelect.value);
+        }
+
+        function renderModelFields() {
+          const model = selectedModel();
+          if (!model) return;
+          const { limits } = model;
+
+          document.getElementById('subjectGroup').style.display = limits.subjectRequired ? 'block' : 'none';
+          document.getElementById('referenceGroup').style.display = limits.maxReferences > 0 ? 'block' : 'none';
+          document.getElementById('referenceLimit').textContent = \`up to \${limits.maxReferences} images, \`;
+
+          for (const id of ['width', 'height']) {
+            const input = document.getElementById(id);
+            input.min = limits.minSize;
+            input.max = limits.maxSize;
+            const value = Number(input.value);
+            if (value < limits.minSize) input.value = limits.minSize;
+            if (value > limits.maxSize) input.value = limits.maxSize;
+          }
+          document.getElementById('sizeHint').textContent = \`\${limits.minSize}-\${limits.maxSize} px\`;
+
+          const container = document.getElementById('modelParams');
+          container.innerHTML = '';
+          for (const [name, schema] of Object.entries(model.params)) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = \`param-\${name}\`;
+            label.textContent = schema.label;
+            const input = document.createElement(schema.type === 'string' ? 'textarea' : 'input');
+            input.id = \`param-\${name}\`;
+            input.dataset.param = name;
+            if (schema.type !== 'string') {
+              input.type = 'number';
+              input.min = schema.min;
+              input.max = schema.max;
+              input.step = schema.step || (schema.type === 'integer' ? 1 : 'any');
+            }
+            input.value = schema.default;
+            group.append(label, input);
+            container.appendChild(group);
+          }
+          scheduleEstimate();
+        }
+
+        // Expected cost from /api/batch/estimate, refreshed as the form changes
+        const costEstimate = document.getElementById('costEstimate');
+        let estimateTimer = null;
+
+        function scheduleEstimate() {
+          clearTimeout(estimateTimer);
+          estimateTimer = setTimeout(updateEstimate, 300);
+        }
+
+        async function updateEstimate() {
+          const model = selectedModel();
+          if (!model) return;
+
+          try {
+            const response = await fetch('/api/batch/estimate', {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify({
+                model: model.id,
+                width: document.getElementById('width').value,
+                height: document.getElementById('height').value,
+                batchCount: document.getElementById('batchCount').value
+              })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+              costEstimate.textContent = data.error;
+              costEstimate.className = 'cost-estimate';
+              return;
+            }
+
+            let text = \`Estimated cost: \${data.credits} credits (\${data.images} × \${data.creditsPerImage})\`;
+            for (const [label, period] of [['today', data.budget.daily], ['this month', data.budget.monthly]]) {
+              if (period.cap) text += \` · \${period.remaining} of \${period.cap} left \${label}\`;
+            }
+            if (!data.budget.allowed) {
+              text += data.budget.action === 'queue'
+                ? ' — over budget, the run will wait until there is room'
+                : ' — over budget, the run will be refused';
+            }
+            costEstimate.textContent = text;
+            costEstimate.className = \`cost-estimate\${data.budget.allowed ? '' : ' over-budget'}\`;
+          } catch (error) {
+            costEstimate.textContent = '';
+          }
+        }
+
+        for (const id of ['width', 'height', 'batchCount']) {
+          document.getElementById(id).addEventListener('input', scheduleEstimate);
+        }
+
+        async function loadModels() {
+          const response = await fetch('/api/models');
+          const data = await response.json();
+          models = data.models;
+          for (const model of models) {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.name;
+            modelSelect.appendChild(option);
+          }
+          modelSelect.value = data.defaultModel;
+          renderModelFields();
+        }
+
+        modelSelect.addEventListener('change', renderModelFields);
+        loadModels().catch(error => showMessage(\`Failed to load models: \${error.message}\`, 'error'));
+
+        const seedStrategy = document.getElementById('seedStrategy');
+        const seedInput = document.getElementById('seed');
+        seedStrategy.addEventListener('change', () => {
+          seedInput.disabled = seedStrategy.value === 'random';
+          seedInput.required = !seedInput.disabled;
+        });
+
+        // Saved presets: picking one pre-fills the form, and the run records the preset it came from
+        const presetSelect = document.getElementById('preset');
+        const presetHint = document.getElementById('presetHint');
+        let presets = [];
+
+        function selectedPreset() {
+          return presets.find(preset => preset.name === presetSelect.value) || null;
+        }
+
+        async function loadPresets(selected = presetSelect.value) {
+          const response = await fetch('/api/presets');
+          const data = await response.json();
+          presets = data.presets;
+          presetSelect.innerHTML = '<option value="">None</option>';
+          for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = \`\${preset.name} (v\${preset.version})\`;
+            presetSelect.appendChild(option);
+          }
+          presetSelect.value = presets.some(preset => preset.name === selected) ? selected : '';
+          renderPresetHint();
+        }
+
+        // A template with {prompt} wraps whatever is typed in the prompt field
+        function renderPresetHint() {
+          const preset = selectedPreset();
+          if (!preset) {
+            presetHint.textContent = 'Pre-fills the form; what you change afterwards overrides the preset';
+          } else if (preset.promptTemplate.includes('{prompt}')) {
+            presetHint.textContent = \`Your prompt goes into: \${preset.promptTemplate}\`;
+          } else {
+            presetHint.textContent = preset.description || \`Version \${preset.version}\`;
+          }
+        }
+
+        function applyPresetToForm(preset) {
+          if (models.some(model => model.id === preset.model)) modelSelect.value = preset.model;
+          renderModelFields();
+
+          const promptInput = document.getElementById('prompt');
+          if (preset.promptTemplate.includes('{prompt}')) {
+            promptInput.value = '';
+          } else if (preset.promptTemplate) {
+            promptInput.value = preset.promptTemplate;
+          }
+          if (preset.width) document.getElementById('width').value = preset.width;
+          if (preset.height) document.getElementById('height').value = preset.height;
+          if (preset.batchCount) document.getElementById('batchCount').value = preset.batchCount;
+
+          document.getElementById('referenceUrls').value = preset.referenceUrls
+            .filter(url => !url.startsWith('upload:'))
+            .join(', ');
+          referenceUploads = preset.referenceUrls
+            .filter(url => url.startsWith('upload:'))
+            .map(uploadId => ({ uploadId, url: \`/uploads/\${uploadId.slice('upload:'.length)}\` }));
+          renderUploads();
+
+          for (const input of document.querySelectorAll('#modelParams [data-param]')) {
+            if (preset.params[input.dataset.param] !== undefined) input.value = preset.params[input.dataset.param];
+          }
+          seedStrategy.value = preset.params.seedStrategy || (preset.params.seed !== undefined ? 'fixed' : 'random');
+          seedInput.value = preset.params.seed ?? '';
+          seedInput.disabled = seedStrategy.value === 'random';
+          seedInput.required = !seedInput.disabled;
+          scheduleEstimate();
+        }
+
+        presetSelect.addEventListener('change', () => {
+          const preset = selectedPreset();
+          if (preset) applyPresetToForm(preset);
+          renderPresetHint();
+        });
+        loadPresets().catch(error => showMessage(\`Failed to load presets: \${error.message}\`, 'error'));
+
+        // The current form (without the subject image) as a preset
+        function presetFromForm(name) {
+          const model = selectedModel();
+          const current = selectedPreset();
+          const params = {};
+          for (const input of document.querySelectorAll('#modelParams [data-param]')) {
+            params[input.dataset.param] = input.value;
+          }
+          params.seedStrategy = seedStrategy.value;
+          if (seedStrategy.value !== 'random') params.seed = seedInput.value;
+
+          return {
+            name,
+            description: current && current.name === name ? current.description : '',
+            model: model.id,
+            promptTemplate: current && current.promptTemplate.includes('{prompt}')
+              ? current.promptTemplate
+              : document.getElementById('prompt').value.trim(),
+            referenceUrls: model.limits.maxReferences === 0 ? [] : document.getElementById('referenceUrls').value
+              .split(',')
+              .map(url => url.trim())
+              .filter(url => url.length > 0)
+              .concat(referenceUploads.map(upload => upload.uploadId)),
+            width: document.getElementById('width').value,
+            height: document.getElementById('height').value,
+            batchCount: document.getElementById('batchCount').value,
+            params
+          };
+        }
+
+        document.getElementById('savePresetBtn').addEventListener('click', async () => {
+          const name = (window.prompt('Preset name', presetSelect.value) || '').trim();
+          if (!name) return;
+          const request = (method, url) => fetch(url, {
+            method,
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(presetFromForm(name))
+          });
+
+          try {
+            let response = await request('POST', '/api/presets');
+            if (response.status === 409) {
+              if (!confirm(\`Preset \${name} already exists. Replace it with the current form?\`)) return;
+              response = await request('PUT', \`/api/presets/\${encodeURIComponent(name)}\`);
+            }
+            const data = await response.json();
+            if (!response.ok) {
+              const details = (data.details || []).map(line => \`\\n• \${line}\`).join('');
+              showMessage(\`Error: \${data.error}\${details}\`, 'error');
+              return;
+            }
+            await loadPresets(data.name);
+            showMessage(\`✅ Preset \${data.name} saved (version \${data.version})\`, 'success');
+          } catch (error) {
+            showMessage(\`Error: \${error.message}\`, 'error');
+          }
+        });
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const model = selectedModel();
+          const prompt = document.getElementById('prompt').value.trim();
+          const subjectUrl = !model.limits.subjectRequired ? null : subjectUpload
+            ? subjectUpload.uploadId
+            : document.getElementById('subjectUrl').value.trim();
+          const referenceUrls = model.limits.maxReferences === 0 ? [] : document.getElementById('referenceUrls').value
+            .split(',')
+            .map(url => url.trim())
+            .filter(url => url.length > 0)
+            .concat(referenceUploads.map(upload => upload.uploadId));
+          const params = {};
+          for (const input of document.querySelectorAll('#modelParams [data-param]')) {
+            params[input.dataset.param] = input.value;
+          }
+          const width = document.getElementById('width').value;
+          const height = document.getElementById('height').value;
+          const batchCount = document.getElementById('batchCount').value;
+
+          // Validation
+          if (!prompt || (model.limits.subjectRequired && !subjectUrl)) {
+            showMessage('Please fill in required fields', 'error');
+            return;
+          }
+
+          submitBtn.disabled = true;
+          btnText.innerHTML = '<span class="loader"></span>Submitting...';
+          messageDiv.className = 'message';
+
+          try {
+            const response = await fetch('/api/batch', {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify({
+                model: model.id,
+                prompt,
+                subjectUrl,
+                referenceUrls,
+                width,
+                height,
+                batchCount,
+                ...params,
+                preset: presetSelect.value || undefined,
+                seedStrategy: seedStrategy.value,
+                seed: seedStrategy.value === 'random' ? null : seedInput.value
+              })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+              if (response.status === 202) {
+                showMessage(
+                  \`⏳ Over budget — the run will start when there is room.\\n\\nRun ID: \${data.runId}\\nEstimated cost: \${data.estimate.credits} credits\`,
+                  'info'
+                );
+              } else {
+                showMessage(
+                  \`✅ Batch submitted successfully!\\n\\nRun ID: \${data.runId}\\nResult Record: \${data.parentId || '—'}\\nEstimated cost: \${data.estimate.credits} credits\` +
+                    data.sinkErrors.map(error => \`\\n⚠️ \${error.sink}: \${error.error}\`).join(''),
+                  'success'
+                );
+              }
+
+              showProgress(data.runId);
+              form.reset();
+              seedInput.disabled = true;
+              seedInput.required = false;
+              subjectUpload = null;
+              referenceUploads = [];
+              renderUploads();
+              document.getElementById('width').value = '512';
+              document.getElementById('height').value = '512';
+              document.getElementById('batchCount').value = '3';
+              modelSelect.value = model.id;
+              renderModelFields();
+              renderPresetHint();
+            } else {
+              const details = (data.details || []).map(line => \`\n• \${line}\`).join('');
+              showMessage(\`Error: \${data.error || 'Unknown error'}\${details}\`, 'error');
+            }
+          } catch (error) {
+            showMessage(\`Error: \${error.message}\`, 'error');
+          } finally {
+            submitBtn.disabled = false;
+            btnText.textContent = 'Start Batch Generation';
+          }
+        });
+
+        cancelBtn.addEventListener('click', async () => {
+          if (!currentRunId || !confirm(\`Cancel run \${currentRunId}? Finished images are kept.\`)) {
+            return;
+          }
+
+          cancelBtn.disabled = true;
+          cancelBtnText.innerHTML = '<span class="loader"></span>Cancelling...';
+
+          try {
+            const response = await fetch(\`/api/batch/\${currentRunId}\`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (response.ok) {
+              showMessage(
+                \`🛑 Run \${data.runId} cancelled.\\n\\nDropped before submission: \${data.dequeuedTasks}\\nStopped while running: \${data.cancelledTasks}\\nFinished images kept: \${data.keptOutputs}\`,
+                'info'
+              );
+              cancelBtn.style.display = 'none';
+            } else {
+              showMessage(\`Error: \${data.error || 'Unknown error'}\`, 'error');
+            }
+          } catch (error) {
+            showMessage(\`Error: \${error.message}\`, 'error');
+          } finally {
+            cancelBtn.disabled = false;
+            cancelBtnText.textContent = 'Cancel Run';
+          }
+        });
+
+        // Live progress view fed by /status/:runId/stream
+        const progressView = document.getElementById('progressView');
+        const connectionState = document.getElementById('connectionState');
+        const taskRows = document.getElementById('taskRows');
+        const thumbnails = document.getElementById('thumbnails');
+        let eventSource = null;
+        let reconnectTimer = null;
+        let runTasks = [];
+        let runFinished = false;
+
+        function showProgress(runId) {
+          currentRunId = runId;
+          runTasks = [];
+          runFinished = false;
+          form.style.display = 'none';
+          progressView.style.display = 'block';
+          cancelBtn.style.display = 'block';
+          document.getElementById('progressRunId').textContent = \`Run ID: \${runId}\`;
+          connectStream();
+        }
+
+        function connectStream() {
+          if (eventSource) eventSource.close();
+          clearTimeout(reconnectTimer);
+          setConnectionState('Connecting...', '');
+
+          eventSource = new EventSource(\`/status/\${currentRunId}/stream\`);
+
+          eventSource.onopen = () => setConnectionState('Live', 'live');
+          eventSource.onerror = () => {
+            if (runFinished) return;
+            setConnectionState('Reconnecting...', 'reconnecting');
+            // The browser retries on its own unless the stream was closed for good
+            if (eventSource.readyState === EventSource.CLOSED) {
+              reconnectTimer = setTimeout(connectStream, 3000);
+            }
+          };
+
+          eventSource.addEventListener('snapshot', (e) => {
+            const data = JSON.parse(e.data);
+            runTasks = Array.from({ length: data.batchCount }, () => ({ status: 'queued', outputs: [] }));
+            const tasks = [...data.tasks].sort((a, b) => a.attempt - b.attempt);
+            for (const task of tasks) {
+              runTasks[task.taskIndex] = task;
+            }
+            for (const failure of data.submissionFailures) {
+              runTasks[failure.taskIndex] = {
+                requestId: failure.failureId,
+                status: 'failed',
+                seed: failure.seed,
+                error: failure.error,
+                failureSource: 'submission',
+                outputs: []
+              };
+            }
+            renderProgress(data.progress);
+            if (data.status === 'waiting_budget') setConnectionState('Waiting for budget', 'reconnecting');
+          });
+
+          eventSource.addEventListener('run-started', () => setConnectionState('Live', 'live'));
+
+          eventSource.addEventListener('task-submitted', (e) => {
+            const data = JSON.parse(e.data);
+            runTasks[data.taskIndex] = { requestId: data.requestId, status: 'submitted', seed: data.seed, outputs: [] };
+            renderProgress(data.progress);
+          });
+
+          eventSource.addEventListener('task-status', (e) => {
+            const data = JSON.parse(e.data);
+            const task = runTasks[data.taskIndex];
+            if (task && task.requestId === data.requestId) task.status = data.status;
+            renderProgress(data.progress);
+          });
+
+          eventSource.addEventListener('task-completed', (e) => {
+            const data = JSON.parse(e.data);
+            runTasks[data.taskIndex] = { ...runTasks[data.taskIndex], requestId: data.requestId, status: 'completed', outputs: data.outputs };
+            renderProgress(data.progress);
+          });
+
+          eventSource.addEventListener('task-failed', (e) => {
+            const data = JSON.parse(e.data);
+            runTasks[data.taskIndex] = {
+              ...runTasks[data.taskIndex],
+              requestId: data.requestId,
+              status: data.willRetry ? 'retrying' : 'failed',
+              error: data.error,
+              failureSource: data.failureSource,
+              outputs: []
+            };
+            renderProgress(data.progress);
+          });
+
+          eventSource.addEventListener('task-retrying', (e) => {
+            const data = JSON.parse(e.data);
+            if (runTasks[data.taskIndex]) runTasks[data.taskIndex].status = 'retrying';
+            renderProgress(data.progress);
+          });
 
-  if (!response.ok) {
-    const error = await response.text();
-    console.error(`Airtable update error for ${recordId}:`, error);
-    throw new Error(`Airtable update error: ${error}`);
-  }
+          eventSource.addEventListener('run-finished', (e) => {
+            const data = JSON.parse(e.data);
+            runFinished = true;
+            eventSource.close();
+            cancelBtn.style.display = 'none';
+            setConnectionState(\`Run \${data.status.replace('_', ' ')}\`, data.status);
+            if (data.progress) renderProgress(data.progress);
+            if (data.failure) {
+              const details = data.failure.details.map(line => \`\\n• \${line}\`).join('');
+              showMessage(\`Run failed before submitting: \${data.failure.message}\${details}\`, 'error');
+            } else if (['partial', 'failed', 'timed_out'].includes(data.status)) {
+              showMessage(\`Run \${data.status.replace('_', ' ')}: see the failed tasks below for what went wrong\`, 'error');
+            }
+          });
+        }
 
-  console.log(`[Airtable] Record ${recordId} updated`);
-}
+        function setConnectionState(text, className) {
+          connectionState.textContent = text;
+          connectionState.className = \`connection-state \${className}\`;
+        }
 
-/**
- * Submit batch of tasks with retry logic
- */
-async function submitBatch(runId, prompt, subjectImageUrl, referenceImageUrls, width, height, batchCount) {
-  const batch = {
-    requestIds: [],
-    seenIds: [],
-    failedIds: [],
-    outputImages: [],
-    status: 'processing',
-    startTime: Date.now(),
-    prompt,
-    width: parseInt(width),
-    height: parseInt(height),
-    batchCount: parseInt(batchCount)
-  };
+        function renderProgress(progress) {
+          const percent = progress.total > 0 ? Math.round((progress.settled / progress.total) * 100) : 0;
+          document.getElementById('progressFill').style.width = \`\${percent}%\`;
+          document.getElementById('progressText').textContent =
+            \`\${progress.settled}/\${progress.total} done — \${progress.completed} completed, \${progress.failed} failed\`;
 
-  batchStore.set(runId, batch);
+          taskRows.innerHTML = '';
+          thumbnails.innerHTML = '';
+          runTasks.forEach((task, index) => {
+            const row = document.createElement('tr');
+            const number = document.createElement('td');
+            number.textContent = index + 1;
+            const requestId = document.createElement('td');
+            requestId.className = 'mono';
+            requestId.textContent = task.requestId || '—';
+            const seed = document.createElement('td');
+            seed.className = 'mono';
+            seed.textContent = task.seed ?? '—';
+            const status = document.createElement('td');
+            status.className = \`task-status \${task.status}\`;
+            status.textContent = task.status;
+            if (task.error) status.title = task.error;
+            if (task.status === 'failed' && task.failureSource) {
+              const reason = document.createElement('div');
+              reason.className = 'task-error';
+              reason.textContent = \`\${FAILURE_SOURCES[task.failureSource]}\${task.error ? \`: \${task.error}\` : ''}\`;
+              status.appendChild(reason);
+            }
+            row.append(number, requestId, seed, status);
+            taskRows.appendChild(row);
 
-  console.log(`[Batch Start] Run ${runId}: Starting ${batchCount} tasks`);
+            for (const url of task.outputs || []) {
+              const link = document.createElement('a');
+              link.href = url;
+              link.target = '_blank';
+              const img = document.createElement('img');
+              img.src = url;
+              img.alt = \`Task \${index + 1}\`;
+              link.appendChild(img);
+              thumbnails.appendChild(link);
+            }
+          });
+        }
 
-  // Convert images to base64
-  let subjectImageB64;
-  let referenceImagesB64 = [];
+        document.getElementById('newBatchBtn').addEventListener('click', () => {
+          if (eventSource) eventSource.close();
+          clearTimeout(reconnectTimer);
+          currentRunId = null;
+          progressView.style.display = 'none';
+          form.style.display = 'block';
+          messageDiv.className = 'message';
+        });
 
-  try {
-    subjectImageB64 = await urlToBase64DataUrl(subjectImageUrl);
-    for (const refUrl of referenceImageUrls) {
-      const refB64 = await urlToBase64DataUrl(refUrl);
-      referenceImagesB64.push(refB64);
-    }
-  } catch (error) {
-    console.error(`[Batch Error] Run ${runId}: Failed to convert images to base64:`, error);
-    return null;
-  }
+        function showMessage(text, type, target = messageDiv) {
+          target.textContent = text;
+          target.className = \`message \${type}\`;
+          target.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
 
-  // Create parent Airtable record
-  let parentId;
-  try {
-    parentId = await createAirtableRecord({
-      'Prompt': prompt,
-      'Model': 'WaveSpeed Seedream v4.5',
-      'Size': `${width}x${height}`,
-      'Status': 'processing',
-      'Run ID': runId,
-      'Created At': new Date().toISOString(),
-      'Last Update': new Date().toISOString(),
-      'Request IDs': '',
-      'Seen IDs': '',
-      'Failed IDs': ''
-    });
-    console.log(`[Airtable] Created parent record: ${parentId}`);
-  } catch (error) {
-    console.error(`[Batch Error] Run ${runId}: Failed to create Airtable record:`, error);
-    return null;
-  }
+        const importForm = document.getElementById('importForm');
+        const importBtn = document.getElementById('importBtn');
+        const importBtnText = document.getElementById('importBtnText');
+        const importMessage = document.getElementById('importMessage');
 
-  // Submit tasks
-  for (let i = 0; i < batchCount; i++) {
-    try {
-      const requestId = await submitWaveSpeedTask(
-        prompt,
-        subjectImageB64,
-        referenceImagesB64,
-        width,
-        height,
-        i
-      );
-
-      batch.requestIds.push(requestId);
-      jobStore.set(requestId, {
-        runId,
-        parentId,
-        status: 'submitted',
-        retries: 0
-      });
+        importForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
 
-      console.log(`[Submission] Run ${runId}: Task ${i + 1}/${batchCount} submitted as ${requestId}`);
+          const file = document.getElementById('importFile').files[0];
+          if (!file) {
+            showMessage('Please choose a file', 'error', importMessage);
+            return;
+          }
 
-      // Update Airtable with new request IDs
-      await updateAirtableRecord(parentId, batch);
+          const isJsonl = /\\.(jsonl|ndjson)$/i.test(file.name);
 
-      // Pause between submissions to avoid rate limiting
-      if (i < batchCount - 1) {
-        await sleep(1200);
-      }
+          importBtn.disabled = true;
+          importBtnText.innerHTML = '<span class="loader"></span>Uploading...';
 
-      // Start polling for this task
-      pollUntilDone(requestId, parentId, runId).catch(error => {
-        console.error(`[Polling Error] Task ${requestId}:`, error);
-      });
+          try {
+            const response = await fetch(\`/api/imports?fileName=\${encodeURIComponent(file.name)}\`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': isJsonl ? 'application/x-ndjson' : 'text/csv'
+              },
+              body: await file.text()
+            });
 
-    } catch (error) {
-      console.error(`[Submission Error] Run ${runId}: Task ${i + 1}/${batchCount}:`, error);
-      // Mark task as failed immediately
-      const failureId = `failed-${Date.now()}-${i}`;
-      batch.failedIds.push(failureId);
-      batch.seenIds.push(failureId);
-    }
-  }
+            const data = await response.json();
 
-  return parentId;
-}
+            if (response.ok) {
+              showImportSummary(data);
+              importForm.reset();
+              pollImport(data.importId);
+            } else {
+              showMessage(\`Error: \${data.error || 'Unknown error'}\`, 'error', importMessage);
+            }
+          } catch (error) {
+            showMessage(\`Error: \${error.message}\`, 'error', importMessage);
+          } finally {
+            importBtn.disabled = false;
+            importBtnText.textContent = 'Import Batches';
+          }
+        });
 
-// ============================================================================
-// ROUTES
-// ============================================================================
+        function showImportSummary(data) {
+          const { counts } = data;
+          const lines = [
+            \`Import \${data.importId}: \${data.status}\`,
+            \`Rows: \${data.totalRows} — queued \${counts.queued}, running \${counts.running}, done \${counts.done}, failed \${counts.failed}, invalid \${counts.invalid}\`
+          ];
+          for (const row of data.rows.filter(row => row.errors.length > 0)) {
+            lines.push(\`Row \${row.row}: \${row.errors.join('; ')}\`);
+          }
+          showMessage(lines.join('\\n'), counts.invalid + counts.failed > 0 ? 'error' : 'info', importMessage);
+        }
+
+        async function pollImport(importId) {
+          try {
+            const response = await fetch(\`/api/imports/\${importId}\`);
+            if (!response.ok) return;
+            const data = await response.json();
+            showImportSummary(data);
+            if (data.status === 'processing') {
+              setTimeout(() => pollImport(importId), 10000);
+            }
+          } catch (error) {
+            setTimeout(() => pollImport(importId), 10000);
+          }
+        }
+      </script>
+    </body>
+    </html>
+  `;
+  res.send(html);
+});
 
 /**
- * GET /app - Serve the UI form
+ * GET /gallery - Run history and output gallery
  */
-app.get('/app', (req, res) => {
+app.get('/gallery', (req, res) => {
   const html = `
     <!DOCTYPE html>
     <html lang="ru">
     <head>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>WaveSpeed Batch Generator</title>
+      <title>WaveSpeed Batch Generator — Runs</title>
       <style>
         * {
           margin: 0;
@@ -444,17 +4059,14 @@ app.get('/app', (req, res) => {
           font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
           background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
           min-height: 100vh;
-          display: flex;
-          align-items: center;
-          justify-content: center;
           padding: 20px;
         }
         .container {
           background: white;
           border-radius: 12px;
           box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-          max-width: 600px;
-          width: 100%;
+          max-width: 1100px;
+          margin: 0 auto;
           padding: 40px;
         }
         h1 {
@@ -462,247 +4074,360 @@ app.get('/app', (req, res) => {
           margin-bottom: 10px;
           font-size: 28px;
         }
+        h2 {
+          color: #333;
+          margin-bottom: 10px;
+          font-size: 20px;
+        }
         .subtitle {
           color: #666;
-          margin-bottom: 30px;
+          margin-bottom: 24px;
           font-size: 14px;
         }
-        .form-group {
+        .filters {
+          display: grid;
+          grid-template-columns: 2fr 1fr 1fr 1fr auto;
+          gap: 12px;
           margin-bottom: 24px;
         }
-        label {
-          display: block;
-          color: #333;
-          font-weight: 600;
-          margin-bottom: 8px;
-          font-size: 14px;
-        }
-        input[type="text"],
-        input[type="number"],
-        textarea {
+        input,
+        select {
           width: 100%;
-          padding: 12px 16px;
+          padding: 10px 12px;
           border: 2px solid #e0e0e0;
           border-radius: 8px;
           font-family: inherit;
           font-size: 14px;
-          transition: border-color 0.3s;
-        }
-        input[type="text"]:focus,
-        input[type="number"]:focus,
-        textarea:focus {
-          outline: none;
-          border-color: #667eea;
-          box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-        }
-        textarea {
-          resize: vertical;
-          min-height: 100px;
-          font-family: 'Monaco', 'Menlo', monospace;
-          font-size: 13px;
-        }
-        .input-row {
-          display: grid;
-          grid-template-columns: 1fr 1fr;
-          gap: 16px;
-        }
-        .input-row.full {
-          grid-template-columns: 1fr;
         }
         button {
-          width: 100%;
-          padding: 14px 20px;
+          padding: 10px 20px;
           background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
           color: white;
           border: none;
           border-radius: 8px;
-          font-size: 16px;
+          font-size: 14px;
           font-weight: 600;
           cursor: pointer;
-          transition: transform 0.2s, box-shadow 0.2s;
-        }
-        button:hover {
-          transform: translateY(-2px);
-          box-shadow: 0 10px 20px rgba(102, 126, 234, 0.3);
-        }
-        button:active {
-          transform: translateY(0);
         }
         button:disabled {
-          opacity: 0.7;
+          opacity: 0.5;
           cursor: not-allowed;
-          transform: none;
         }
-        .message {
-          margin-top: 20px;
-          padding: 16px;
-          border-radius: 8px;
-          display: none;
-          font-size: 14px;
+        .cards {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+          gap: 16px;
         }
-        .message.success {
-          background: #d4edda;
-          color: #155724;
-          border: 1px solid #c3e6cb;
-          display: block;
+        .card {
+          border: 2px solid #f0f0f0;
+          border-radius: 10px;
+          padding: 14px;
+          cursor: pointer;
+          transition: border-color 0.2s, transform 0.2s;
         }
-        .message.error {
-          background: #f8d7da;
-          color: #721c24;
-          border: 1px solid #f5c6cb;
-          display: block;
+        .card:hover {
+          border-color: #667eea;
+          transform: translateY(-2px);
         }
-        .message.info {
-          background: #d1ecf1;
-          color: #0c5460;
-          border: 1px solid #bee5eb;
-          display: block;
+        .card-prompt {
+          color: #333;
+          font-size: 14px;
+          font-weight: 600;
+          margin-bottom: 8px;
+          display: -webkit-box;
+          -webkit-line-clamp: 2;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
         }
-        .helper-text {
-          font-size: 12px;
+        .card-meta {
           color: #999;
-          margin-top: 6px;
+          font-size: 12px;
+          line-height: 1.6;
         }
-        .loader {
+        .thumbs {
+          display: grid;
+          grid-template-columns: repeat(4, 1fr);
+          gap: 4px;
+          margin-bottom: 10px;
+          min-height: 50px;
+        }
+        .thumbs img {
+          width: 100%;
+          aspect-ratio: 1;
+          object-fit: cover;
+          border-radius: 4px;
+        }
+        .badge {
           display: inline-block;
-          width: 12px;
-          height: 12px;
-          border: 2px solid #f3f3f3;
-          border-top: 2px solid #667eea;
-          border-radius: 50%;
-          animation: spin 1s linear infinite;
-          margin-right: 8px;
-          vertical-align: middle;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 11px;
+          font-weight: 600;
+          background: #f0f0f0;
+          color: #666;
         }
-        @keyframes spin {
-          0% { transform: rotate(0deg); }
-          100% { transform: rotate(360deg); }
+        .badge.succeeded,
+        .badge.completed { background: #d4edda; color: #155724; }
+        .badge.processing { background: #d1ecf1; color: #0c5460; }
+        .badge.waiting_budget,
+        .badge.partial,
+        .badge.timed_out { background: #fff3cd; color: #856404; }
+        .badge.failed,
+        .badge.cancelled { background: #f8d7da; color: #721c24; }
+        .pagination {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 16px;
+          margin-top: 24px;
+          color: #666;
+          font-size: 14px;
+        }
+        .empty {
+          color: #999;
+          text-align: center;
+          padding: 40px 0;
+        }
+        .outputs {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+          gap: 12px;
+          margin: 16px 0 24px;
+        }
+        .outputs img {
+          width: 100%;
+          border-radius: 8px;
+        }
+        .task-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+        .task-table th,
+        .task-table td {
+          text-align: left;
+          padding: 6px 8px;
+          border-bottom: 1px solid #f0f0f0;
+          vertical-align: top;
+        }
+        .mono {
+          font-family: 'Monaco', 'Menlo', monospace;
+          font-size: 11px;
+          word-break: break-all;
         }
       </style>
     </head>
     <body>
       <div class="container">
-        <h1>🎨 WaveSpeed Batch Generator</h1>
-        <p class="subtitle">Generate multiple images using Seedream v4.5</p>
-
-        <form id="batchForm">
-          <div class="form-group">
-            <label for="prompt">Prompt *</label>
-            <textarea id="prompt" name="prompt" placeholder="Describe what you want to generate..." required></textarea>
-            <div class="helper-text">Detailed prompts produce better results</div>
-          </div>
+        <div id="listView">
+          <h1>🗂️ Run History</h1>
+          <p class="subtitle"><a href="/app">← New batch</a>${userLinks(req.user)}</p>
 
-          <div class="form-group">
-            <label for="subjectUrl">Subject Image URL *</label>
-            <input type="text" id="subjectUrl" name="subjectUrl" placeholder="https://example.com/subject.jpg" required>
-            <div class="helper-text">Primary image to be edited/referenced</div>
-          </div>
-
-          <div class="form-group">
-            <label for="referenceUrls">Reference Image URLs (comma-separated)</label>
-            <textarea id="referenceUrls" name="referenceUrls" placeholder="https://example.com/ref1.jpg, https://example.com/ref2.jpg"></textarea>
-            <div class="helper-text">Optional: Additional reference images for style/composition</div>
-          </div>
+          <form id="filters" class="filters">
+            <input type="text" id="q" placeholder="Search prompts...">
+            <select id="status">
+              <option value="">Any status</option>
+              <option value="waiting_budget">waiting_budget</option>
+              <option value="processing">processing</option>
+              <option value="succeeded">succeeded</option>
+              <option value="partial">partial</option>
+              <option value="failed">failed</option>
+              <option value="timed_out">timed_out</option>
+              <option value="cancelled">cancelled</option>
+              <option value="completed">completed (older runs)</option>
+            </select>
+            <input type="date" id="from" title="Started on or after">
+            <input type="date" id="to" title="Started on or before">
+            <button type="submit">Filter</button>
+          </form>
 
-          <div class="form-group">
-            <div class="input-row">
-              <div>
-                <label for="width">Width *</label>
-                <input type="number" id="width" name="width" value="512" min="256" max="2048" required>
-              </div>
-              <div>
-                <label for="height">Height *</label>
-                <input type="number" id="height" name="height" value="512" min="256" max="2048" required>
-              </div>
-            </div>
-          </div>
+          <div id="cards" class="cards"></div>
 
-          <div class="form-group">
-            <label for="batchCount">Batch Count *</label>
-            <input type="number" id="batchCount" name="batchCount" value="3" min="1" max="10" required>
-            <div class="helper-text">Number of images to generate (1-10)</div>
+          <div class="pagination">
+            <button type="button" id="prevBtn">← Prev</button>
+            <span id="pageInfo"></span>
+            <button type="button" id="nextBtn">Next →</button>
           </div>
+        </div>
 
-          <button type="submit" id="submitBtn">
-            <span id="btnText">Start Batch Generation</span>
-          </button>
-        </form>
-
-        <div id="message" class="message"></div>
+        <div id="detailView" style="display: none;">
+          <h1 id="detailTitle">Run</h1>
+          <p class="subtitle"><a href="#" id="backLink">← Back to runs</a></p>
+          <div id="detailMeta" class="card-meta"></div>
+          <div id="detailOutputs" class="outputs"></div>
+          <h2>Tasks</h2>
+          <table class="task-table">
+            <thead>
+              <tr><th>#</th><th>Request ID</th><th>Seed</th><th>Status</th><th>Attempt</th><th>Details</th></tr>
+            </thead>
+            <tbody id="detailTasks"></tbody>
+          </table>
+        </div>
       </div>
 
       <script>
-        const form = document.getElementById('batchForm');
-        const submitBtn = document.getElementById('submitBtn');
-        const messageDiv = document.getElementById('message');
-        const btnText = document.getElementById('btnText');
+        const cards = document.getElementById('cards');
+        const pageInfo = document.getElementById('pageInfo');
+        const prevBtn = document.getElementById('prevBtn');
+        const nextBtn = document.getElementById('nextBtn');
+        const FAILURE_SOURCES = ${JSON.stringify(FAILURE_SOURCES)};
+        let page = 1;
+        let totalPages = 1;
+
+        function element(tag, className, text) {
+          const node = document.createElement(tag);
+          if (className) node.className = className;
+          if (text !== undefined) node.textContent = text;
+          return node;
+        }
+
+        function formatDuration(seconds) {
+          if (seconds < 60) return \`\${seconds}s\`;
+          return \`\${Math.floor(seconds / 60)}m \${seconds % 60}s\`;
+        }
 
-        form.addEventListener('submit', async (e) => {
-          e.preventDefault();
+        async function loadRuns() {
+          const params = new URLSearchParams({ page, pageSize: 24 });
+          for (const id of ['q', 'status']) {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(id, value);
+          }
+          const from = document.getElementById('from').value;
+          const to = document.getElementById('to').value;
+          if (from) params.set('from', new Date(from + 'T00:00:00').toISOString());
+          if (to) params.set('to', new Date(to + 'T23:59:59.999').toISOString());
 
-          const prompt = document.getElementById('prompt').value.trim();
-          const subjectUrl = document.getElementById('subjectUrl').value.trim();
-          const referenceUrls = document.getElementById('referenceUrls').value
-            .split(',')
-            .map(url => url.trim())
-            .filter(url => url.length > 0);
-          const width = document.getElementById('width').value;
-          const height = document.getElementById('height').value;
-          const batchCount = document.getElementById('batchCount').value;
+          const response = await fetch(\`/api/runs?\${params}\`);
+          const data = await response.json();
+          totalPages = data.totalPages;
 
-          // Validation
-          if (!prompt || !subjectUrl) {
-            showMessage('Please fill in required fields', 'error');
-            return;
+          cards.innerHTML = '';
+          if (data.runs.length === 0) {
+            cards.appendChild(element('div', 'empty', 'No runs found'));
           }
 
-          submitBtn.disabled = true;
-          btnText.innerHTML = '<span class="loader"></span>Submitting...';
-          messageDiv.className = 'message';
+          for (const run of data.runs) {
+            const card = element('div', 'card');
+            const thumbs = element('div', 'thumbs');
+            for (const url of run.thumbnails) {
+              const img = element('img');
+              img.src = url;
+              img.loading = 'lazy';
+              thumbs.appendChild(img);
+            }
+            const meta = element('div', 'card-meta');
+            meta.append(
+              element('span', \`badge \${run.status}\`, run.status),
+              element('div', null, \`\${run.width}×\${run.height} · \${run.progress.completed}/\${run.progress.total} images\` +
+                (run.progress.failed ? \` · \${run.progress.failed} failed\` : '') + \` · \${run.creditsSpent} credits\`),
+              element('div', null, \`\${new Date(run.startTime).toLocaleString()} · \${formatDuration(run.durationSeconds)}\` +
+                (run.user ? \` · \${run.user.name}\` : ''))
+            );
+            card.append(thumbs, element('div', 'card-prompt', run.prompt), meta);
+            card.addEventListener('click', () => showRun(run.runId));
+            cards.appendChild(card);
+          }
 
-          try {
-            const response = await fetch('/api/batch', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                prompt,
-                subjectUrl,
-                referenceUrls,
-                width,
-                height,
-                batchCount
-              })
-            });
+          pageInfo.textContent = \`Page \${data.page} of \${data.totalPages} (\${data.total} runs)\`;
+          prevBtn.disabled = page <= 1;
+          nextBtn.disabled = page >= totalPages;
+        }
 
-            const data = await response.json();
+        async function showRun(runId) {
+          const response = await fetch(\`/status/\${runId}\`);
+          if (!response.ok) return;
+          const run = await response.json();
 
-            if (response.ok) {
-              showMessage(
-                \`✅ Batch submitted successfully!\\n\\nRun ID: \${data.runId}\\nAirtable Record: \${data.parentId}\\n\\nYour tasks are now processing. Check Airtable for results.\`,
-                'success'
-              );
-              form.reset();
-              document.getElementById('width').value = '512';
-              document.getElementById('height').value = '512';
-              document.getElementById('batchCount').value = '3';
-            } else {
-              showMessage(\`Error: \${data.error || 'Unknown error'}\`, 'error');
+          document.getElementById('detailTitle').textContent = run.prompt;
+          const meta = document.getElementById('detailMeta');
+          meta.innerHTML = '';
+          meta.append(
+            element('span', \`badge \${run.status}\`, run.status),
+            element('div', 'mono', run.runId),
+            element('div', null, \`\${run.progress.completed}/\${run.progress.total} images · \${run.progress.failed} failed · started \${new Date(run.startTime).toLocaleString()}\`),
+            element('div', null, \`\${run.credits.spent} credits spent (estimated \${run.credits.estimated})\`)
+          );
+          if (run.preset) {
+            meta.append(element('div', null, \`Preset: \${run.preset.name} (version \${run.preset.version})\`));
+          }
+          if (run.failure) {
+            meta.append(element('div', null, \`\${FAILURE_SOURCES[run.failure.source]}: \${run.failure.message}\` +
+              run.failure.details.map(line => \` · \${line}\`).join('')));
+          }
+          if (run.generation) {
+            const params = run.generation;
+            const seed = params.seedStrategy === 'random' ? 'random seeds' : \`\${params.seedStrategy} seed \${params.seed}\`;
+            meta.append(element('div', null, \`\${params.steps} steps · guidance \${params.guidance} · \${seed}\` +
+              (params.negativePrompt ? \` · negative: \${params.negativePrompt}\` : '')));
+          }
+
+          const outputs = document.getElementById('detailOutputs');
+          outputs.innerHTML = '';
+          const tasks = document.getElementById('detailTasks');
+          tasks.innerHTML = '';
+
+          for (const task of run.tasks) {
+            for (const url of task.outputs) {
+              const link = element('a');
+              link.href = url;
+              link.target = '_blank';
+              const img = element('img');
+              img.src = url;
+              link.appendChild(img);
+              outputs.appendChild(link);
             }
-          } catch (error) {
-            showMessage(\`Error: \${error.message}\`, 'error');
-          } finally {
-            submitBtn.disabled = false;
-            btnText.textContent = 'Start Batch Generation';
+
+            const row = element('tr');
+            const details = [
+              task.failureSource ? FAILURE_SOURCES[task.failureSource] : null,
+              task.error,
+              task.replacedBy ? \`replaced by \${task.replacedBy}\` : null
+            ].filter(Boolean).join(' · ');
+            row.append(
+              element('td', null, task.taskIndex + 1),
+              element('td', 'mono', task.requestId),
+              element('td', 'mono', task.seed ?? ''),
+              element('td', null, task.status),
+              element('td', null, task.attempt),
+              element('td', null, details)
+            );
+            tasks.appendChild(row);
+          }
+          for (const failure of run.submissionFailures) {
+            const row = element('tr');
+            row.append(
+              element('td', null, failure.taskIndex + 1),
+              element('td', 'mono', failure.failureId),
+              element('td', 'mono', failure.seed ?? ''),
+              element('td', null, 'failed'),
+              element('td', null, ''),
+              element('td', null, \`\${FAILURE_SOURCES.submission} · \${failure.error}\`)
+            );
+            tasks.appendChild(row);
           }
-        });
 
-        function showMessage(text, type) {
-          messageDiv.textContent = text;
-          messageDiv.className = \`message \${type}\`;
-          messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+          document.getElementById('listView').style.display = 'none';
+          document.getElementById('detailView').style.display = 'block';
+          history.replaceState(null, '', \`#\${runId}\`);
         }
+
+        document.getElementById('backLink').addEventListener('click', (e) => {
+          e.preventDefault();
+          document.getElementById('detailView').style.display = 'none';
+          document.getElementById('listView').style.display = 'block';
+          history.replaceState(null, '', location.pathname);
+        });
+
+        document.getElementById('filters').addEventListener('submit', (e) => {
+          e.preventDefault();
+          page = 1;
+          loadRuns();
+        });
+        prevBtn.addEventListener('click', () => { page--; loadRuns(); });
+        nextBtn.addEventListener('click', () => { page++; loadRuns(); });
+
+        loadRuns();
+        if (location.hash.length > 1) showRun(location.hash.slice(1));
       </script>
     </body>
     </html>
@@ -713,40 +4438,252 @@ app.get('/app', (req, res) => {
 /**
  * POST /api/batch - Submit a batch of tasks
  */
-app.post('/api/batch', async (req, res) => {
-  const { prompt, subjectUrl, referenceUrls = [], width, height, batchCount } = req.body;
+app.post('/api/batch', parseBatchUpload, async (req, res) => {
+  const { status, body } = await createRunFromRequest(req.body, req.user);
+  res.status(status).json(body);
+});
+
+/**
+ * POST /api/batch/estimate - Expected credit cost of a batch request and how it fits the budgets.
+ * Takes the same body as /api/batch but only needs model, width, height, batchCount
+ * (and variables / subjectUrls for a prompt matrix), or a preset that has them.
+ */
+app.post('/api/batch/estimate', (req, res) => {
+  const { body, error } = resolvePresetRequest(req.body);
+  if (error) return res.status(400).json({ error });
 
-  // Validation
-  if (!prompt || !subjectUrl || !width || !height || !batchCount) {
-    return res.status(400).json({
-      error: 'Missing required fields: prompt, subjectUrl, width, height, batchCount'
-    });
+  const { prompt, variables, subjectUrls } = body;
+  const modelId = body.model || DEFAULT_MODEL_ID;
+  if (!getModel(modelId)) {
+    return res.status(400).json({ error: `Unknown model: ${modelId}`, details: [`Available models: ${listModelIds().join(', ')}`] });
+  }
+
+  const width = Number(body.width);
+  const height = Number(body.height);
+  const batchCount = Number(body.batchCount);
+  if (![width, height, batchCount].every(value => Number.isInteger(value) && value > 0)) {
+    return res.status(400).json({ error: 'width, height and batchCount must be positive integers' });
+  }
+
+  const matrix = validatePromptMatrix(prompt, variables, subjectUrls, batchCount);
+  if (matrix.error) return res.status(400).json(matrix);
+
+  const estimate = priceTable.estimate({ model: modelId, width, height, images: matrix.combinations * batchCount });
+  const budget = checkRunBudget(estimate.credits);
+
+  res.json({
+    ...estimate,
+    budget,
+    details: describeBudgetExceeded(estimate, budget)
+  });
+});
+
+/**
+ * GET /api/models - Models a batch can run on, with their parameters and limits
+ */
+app.get('/api/models', (req, res) => {
+  res.json({ defaultModel: DEFAULT_MODEL_ID, models: describeModels() });
+});
+
+/**
+ * GET /api/presets - Saved generation presets, by name
+ */
+app.get('/api/presets', (req, res) => {
+  const presets = [...presetStore.values()].sort((a, b) => a.name.localeCompare(b.name));
+  res.json({ presets });
+});
+
+/**
+ * GET /api/presets/:name - One preset
+ */
+app.get('/api/presets/:name', (req, res) => {
+  const preset = presetStore.get(req.params.name);
+  if (!preset) return res.status(404).json({ error: 'Preset not found' });
+  res.json(preset);
+});
+
+/**
+ * POST /api/presets - Save a new preset (version 1)
+ */
+app.post('/api/presets', (req, res) => {
+  const { preset, errors } = validatePreset(req.body, { isImageRef });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid preset', details: errors });
+  }
+  if (presetStore.has(preset.name)) {
+    return res.status(409).json({ error: `Preset ${preset.name} already exists; use PUT /api/presets/${preset.name} to change it` });
+  }
+
+  const now = Date.now();
+  presetStore.set(preset.name, {
+    ...preset,
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+    createdBy: req.user ? req.user.id : null,
+    updatedBy: req.user ? req.user.id : null
+  });
+  persistPreset(preset.name);
+  console.log(`[Presets] Created ${preset.name}`);
+  res.status(201).json(presetStore.get(preset.name));
+});
+
+/**
+ * PUT /api/presets/:name - Replace a preset's fields; its version goes up by one.
+ * A different `name` in the body renames it.
+ */
+app.put('/api/presets/:name', (req, res) => {
+  const existing = presetStore.get(req.params.name);
+  if (!existing) return res.status(404).json({ error: 'Preset not found' });
+  if (!canEditPreset(req.user, existing)) {
+    return res.status(403).json({ error: 'Only the preset\'s creator or an admin can change it' });
+  }
+
+  const { preset, errors } = validatePreset({ name: existing.name, ...req.body }, { isImageRef });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid preset', details: errors });
+  }
+  if (preset.name !== existing.name && presetStore.has(preset.name)) {
+    return res.status(409).json({ error: `Preset ${preset.name} already exists` });
+  }
+
+  presetStore.delete(existing.name);
+  persistPreset(existing.name);
+  presetStore.set(preset.name, {
+    ...preset,
+    version: existing.version + 1,
+    createdAt: existing.createdAt,
+    updatedAt: Date.now(),
+    createdBy: existing.createdBy,
+    updatedBy: req.user ? req.user.id : null
+  });
+  persistPreset(preset.name);
+  console.log(`[Presets] Updated ${preset.name} to version ${existing.version + 1}`);
+  res.json(presetStore.get(preset.name));
+});
+
+/**
+ * DELETE /api/presets/:name - Delete a preset (runs started from it keep its name and version)
+ */
+app.delete('/api/presets/:name', (req, res) => {
+  const preset = presetStore.get(req.params.name);
+  if (!preset) return res.status(404).json({ error: 'Preset not found' });
+  if (!canEditPreset(req.user, preset)) {
+    return res.status(403).json({ error: 'Only the preset\'s creator or an admin can delete it' });
   }
 
-  const runId = `run-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  presetStore.delete(preset.name);
+  persistPreset(preset.name);
+  console.log(`[Presets] Deleted ${preset.name}`);
+  res.json({ name: preset.name, deleted: true });
+});
+
+/**
+ * POST /api/uploads - Upload subject/reference images for later use in /api/batch
+ */
+app.post('/api/uploads', upload.array('files', UPLOAD_MAX_FILES), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'Send one or more images in the "files" field' });
+  }
 
   try {
-    const parentId = await submitBatch(runId, prompt, subjectUrl, referenceUrls, width, height, batchCount);
+    const uploads = [];
+    for (const file of req.files) {
+      uploads.push(await saveUpload(file));
+    }
+    console.log(`[Upload] Stored ${uploads.length} file(s)`);
+    res.json({ uploads });
+  } catch (error) {
+    console.error('[Upload Error]:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.use('/uploads', express.static(uploadStorage.localDir, { maxAge: '365d', immutable: true }));
+
+/**
+ * DELETE /api/batch/:runId - Cancel a running batch
+ */
+app.delete('/api/batch/:runId', async (req, res) => {
+  const { status, body } = await cancelRunRequest(req.params.runId, req.user);
+  res.status(status).json(body);
+});
+
+/**
+ * POST /api/imports - Bulk import of batches from a CSV or JSONL file (raw request body)
+ */
+app.post('/api/imports', express.text({ type: () => true, limit: '5mb' }), (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the CSV or JSONL file as the raw request body' });
+  }
 
-    if (!parentId) {
-      return res.status(500).json({ error: 'Failed to create batch' });
+  const fileName = req.query.fileName || '';
+  const format = req.query.format || detectImportFormat(req.get('content-type'), fileName);
+  if (format !== 'csv' && format !== 'jsonl') {
+    return res.status(400).json({ error: 'format must be csv or jsonl' });
+  }
+
+  const parsed = parseImportFile(req.body, format);
+  if (parsed.length === 0) {
+    return res.status(400).json({ error: 'No rows found in file' });
+  }
+
+  // Validate every row up front; invalid rows are reported, the rest are queued
+  const rows = parsed.map(({ row, body, error }) => {
+    if (error) {
+      return { row, status: 'invalid', errors: [error] };
     }
+    const validation = validateBatchRequest(body);
+    if (validation.error) {
+      return { row, status: 'invalid', request: body, errors: [validation.error, ...(validation.details || [])] };
+    }
+    return { row, status: 'queued', request: body };
+  });
 
-    res.json({
-      runId,
-      parentId,
-      message: 'Batch submitted successfully'
-    });
-  } catch (error) {
-    console.error('Batch submission error:', error);
-    res.status(500).json({ error: error.message });
+  const importId = `import-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  importStore.set(importId, {
+    importId,
+    format,
+    fileName,
+    createdAt: Date.now(),
+    userId: req.user ? req.user.id : null,
+    rows
+  });
+  persistImport(importId);
+
+  console.log(`[Import] ${importId}: ${rows.length} rows, ${rows.filter(row => row.status === 'queued').length} valid`);
+
+  processImport(importId).catch(error => {
+    console.error(`[Import Error] ${importId}:`, error);
+  });
+
+  res.status(202).json(summarizeImport(importStore.get(importId)));
+});
+
+/**
+ * GET /api/imports/:importId - Aggregate status of a bulk import
+ */
+app.get('/api/imports/:importId', (req, res) => {
+  const record = importStore.get(req.params.importId);
+
+  if (!record || (auth && req.user.role !== 'admin' && record.userId !== req.user.id)) {
+    return res.status(404).json({ error: 'Import not found' });
   }
+
+  res.json(summarizeImport(record));
 });
 
 /**
- * POST /webhooks/wavespeed - Webhook handler for WaveSpeed API
+ * POST /webhooks/wavespeed - Webhook handler for WaveSpeed API (only with WAVESPEED_WEBHOOK_SECRET)
  */
-app.post('/webhooks/wavespeed', async (req, res) => {
+async function handleWaveSpeedWebhook(req, res) {
+  const verification = verifyWebhookSignature(req);
+  if (!verification.ok) {
+    console.warn(`[Webhook] Rejected: ${verification.reason}`);
+    taskMetrics.webhooks.inc({ result: 'rejected' });
+    return res.status(401).json({ error: verification.reason });
+  }
+
   const { id: requestId, status, output } = req.body;
 
   console.log(`[Webhook] Received notification for task ${requestId}: ${status}`);
@@ -754,14 +4691,25 @@ app.post('/webhooks/wavespeed', async (req, res) => {
   const job = jobStore.get(requestId);
   if (!job) {
     console.warn(`[Webhook] Unknown task: ${requestId}`);
+    taskMetrics.webhooks.inc({ result: 'miss' });
     return res.status(404).json({ error: 'Task not found' });
   }
 
+  if (isJobSettled(requestId)) {
+    console.log(`[Webhook] Task ${requestId} already ${job.status}, ignoring`);
+    taskMetrics.webhooks.inc({ result: 'duplicate' });
+    return res.json({ success: true, duplicate: true });
+  }
+
+  taskMetrics.webhooks.inc({ result: 'hit' });
   try {
     if (status === 'completed' && output) {
-      await handleTaskCompletion(requestId, job.parentId, job.runId, { output });
+      await handleTaskCompletion(requestId, job.parentId, job.runId, { output }, 'webhook');
     } else if (status === 'failed') {
-      await handleTaskFailure(requestId, job.parentId, job.runId);
+      await handleTaskFailure(requestId, job.parentId, job.runId, 'webhook', {
+        kind: 'provider',
+        message: req.body.error
+      });
     }
 
     res.json({ success: true });
@@ -769,32 +4717,138 @@ app.post('/webhooks/wavespeed', async (req, res) => {
     console.error('[Webhook Error]:', error);
     res.status(500).json({ error: error.message });
   }
+}
+
+if (WEBHOOKS_ENABLED) {
+  app.post('/webhooks/wavespeed', handleWaveSpeedWebhook);
+}
+
+/**
+ * GET /api/runs - Paginated run history
+ *
+ * Query: status, from, to (ISO date or epoch ms, on start time), q (prompt text), page, pageSize
+ */
+app.get('/api/runs', (req, res) => {
+  const { status, from, to, q } = req.query;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20));
+
+  const parseDate = value => {
+    if (!value) return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? undefined : time;
+  };
+  const fromTime = parseDate(from);
+  const toTime = parseDate(to);
+  if (fromTime === undefined || toTime === undefined) {
+    return res.status(400).json({ error: 'from/to must be ISO dates or epoch milliseconds' });
+  }
+
+  const statuses = status ? String(status).split(',') : null;
+  const query = q ? String(q).toLowerCase() : null;
+
+  const runs = [...batchStore.entries()]
+    .filter(([, batch]) => canAccessRun(req.user, batch))
+    .filter(([, batch]) => !statuses || statuses.includes(batch.status))
+    .filter(([, batch]) => fromTime === null || batch.startTime >= fromTime)
+    .filter(([, batch]) => toTime === null || batch.startTime <= toTime)
+    .filter(([, batch]) => !query || (batch.prompt || '').toLowerCase().includes(query))
+    .sort(([, a], [, b]) => b.startTime - a.startTime);
+
+  res.json({
+    runs: runs.slice((page - 1) * pageSize, page * pageSize).map(([runId, batch]) => summarizeRun(runId, batch)),
+    page,
+    pageSize,
+    total: runs.length,
+    totalPages: Math.max(1, Math.ceil(runs.length / pageSize))
+  });
 });
 
 /**
  * GET /status/:runId - Get batch status
  */
 app.get('/status/:runId', (req, res) => {
+  const status = getRunStatus(req.params.runId, req.user);
+  if (!status) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json(status);
+});
+
+/**
+ * GET /status/:runId/stream - Live run progress as Server-Sent Events
+ *
+ * Every (re)connection starts with a `snapshot` event carrying the full status,
+ * followed by task-submitted / task-status / task-completed / task-failed /
+ * task-retrying events and a final run-finished event.
+ */
+app.get('/status/:runId/stream', (req, res) => {
   const { runId } = req.params;
-  const batch = batchStore.get(runId);
 
-  if (!batch) {
+  if (!batchStore.has(runId) || !canAccessRun(req.user, batchStore.get(runId))) {
     return res.status(404).json({ error: 'Batch not found' });
   }
 
-  res.json({
-    runId,
-    status: batch.status,
-    prompt: batch.prompt,
-    totalTasks: batch.requestIds.length,
-    completedTasks: batch.seenIds.length,
-    failedTasks: batch.failedIds.length,
-    requestIds: batch.requestIds,
-    seenIds: batch.seenIds,
-    failedIds: batch.failedIds,
-    startTime: batch.startTime,
-    elapsedSeconds: Math.round((Date.now() - batch.startTime) / 1000)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const send = (type, data) => {
+    res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+  send('snapshot', buildRunStatus(runId));
+
+  if (!['processing', 'waiting_budget'].includes(batchStore.get(runId).status)) {
+    send('run-finished', { runId, status: batchStore.get(runId).status, failure: batchStore.get(runId).failure || null });
+    return res.end();
+  }
+
+  const onEvent = ({ type, data }) => {
+    send(type, data);
+    if (type === 'run-finished') cleanup();
+  };
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    runEvents.off(runId, onEvent);
+    res.end();
+  }
+
+  runEvents.on(runId, onEvent);
+  req.on('close', cleanup);
+});
+
+/**
+ * GET /outputs/:prefix/:file - Generated images kept in S3-compatible storage
+ * (the local backend is served by express.static above)
+ */
+app.get('/outputs/:prefix/:file', async (req, res) => {
+  try {
+    const object = await outputStorage.get(`${req.params.prefix}/${req.params.file}`);
+    if (!object) {
+      return res.status(404).json({ error: 'Output not found' });
+    }
+
+    res.set({
+      'Content-Type': object.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    if (object.size) res.set('Content-Length', String(object.size));
+    object.body.pipe(res);
+  } catch (error) {
+    console.error('[Output Error]:', error);
+    res.status(502).json({ error: 'Failed to read output' });
+  }
 });
 
 /**
@@ -808,27 +4862,146 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Gauges are read when /metrics is scraped
+metrics.gauge({
+  name: 'wavespeed_batch_runs_in_flight',
+  help: 'Runs that are processing or waiting for budget',
+  collect: () => ['processing', 'waiting_budget'].map(status => ({
+    labels: { status },
+    value: [...batchStore.values()].filter(batch => batch.status === status).length
+  }))
+});
+metrics.gauge({
+  name: 'wavespeed_batch_jobs_in_flight',
+  help: 'Submitted tasks that have not settled yet',
+  collect: () => [...jobStore.keys()].filter(requestId => !isJobSettled(requestId)).length
+});
+metrics.gauge({
+  name: 'wavespeed_batch_submission_queue_depth',
+  help: 'Tasks waiting in the WaveSpeed submission queue',
+  collect: () => submissionScheduler.stats().queued
+});
+metrics.gauge({
+  name: 'wavespeed_batch_airtable_queue_depth',
+  help: 'Airtable writes waiting in the write queue',
+  collect: () => airtableQueue.stats().queued
+});
+
+/**
+ * GET /metrics - Prometheus text format
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+/**
+ * GET /ready - 200 when the configuration is complete and no dependency has been failing recently, 503 otherwise
+ */
+app.get('/ready', (req, res) => {
+  const checks = [
+    { name: 'wavespeedApiKey', ok: MOCK_MODE || Boolean(WAVESPEED_API_KEY), message: MOCK_MODE || WAVESPEED_API_KEY ? null : 'WAVESPEED_API_KEY is not set' },
+    { name: 'dataDir', ...checkWritable(DATA_DIR) }
+  ];
+  if (RESULTS_SINKS.includes('airtable') || AIRTABLE_INTAKE_ENABLED) {
+    const configured = MOCK_MODE || Boolean(AIRTABLE_TOKEN && AIRTABLE_BASE_ID);
+    checks.push({ name: 'airtableCredentials', ok: configured, message: configured ? null : 'AIRTABLE_TOKEN / AIRTABLE_BASE_ID are not set' });
+  }
+
+  const dependencies = dependencyHealth.report();
+  const failing = Object.keys(dependencies).filter(name => dependencies[name].status === 'failing');
+  const ready = checks.every(check => check.ok) && failing.length === 0;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks,
+    dependencies,
+    failing
+  });
+});
+
+function checkWritable(dir) {
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    return { ok: true, message: null };
+  } catch (error) {
+    return { ok: false, message: `${dir} is not writable: ${error.message}` };
+  }
+}
+
+app.use(uploadErrorHandler);
+
 // ============================================================================
 // Start Server
 // ============================================================================
 
-app.listen(PORT, () => {
-  console.log(`
+let backgroundWorkStarted = false;
+
+/**
+ * Pick up work left by a previous process (unfinished runs, queued import rows, runs waiting
+ * for budget), keep starting runs as budget frees up and watch the Airtable intake.
+ * Safe to call more than once.
+ */
+export function startBackgroundWork() {
+  if (backgroundWorkStarted) return;
+  backgroundWorkStarted = true;
+
+  resumeUnfinishedRuns().catch(error => {
+    console.error('[Resume Error]:', error);
+  });
+
+  for (const [importId, record] of importStore) {
+    if (record.rows.some(row => row.status === 'queued')) {
+      console.log(`[Resume] Import ${importId}: continuing queued rows`);
+      processImport(importId).catch(error => {
+        console.error(`[Import Error] ${importId}:`, error);
+      });
+    }
+  }
+
+  // Runs waiting for budget start when a new day / month begins or running runs release credits
+  startWaitingRuns();
+  // The server keeps the process alive; a library user's process may exit when its runs are done
+  setInterval(startWaitingRuns, BUDGET_CHECK_INTERVAL_MS).unref();
+
+  if (airtableIntake) airtableIntake.start();
+}
+
+/**
+ * Start the HTTP server (bin/server.mjs); importing this module does not listen
+ */
+export function startServer(port = PORT) {
+  startBackgroundWork();
+
+  return app.listen(port, () => {
+    console.log(`
 ╔════════════════════════════════════════════════════════════╗
 ║         WaveSpeed Batch Generator Server Started           ║
 ╚════════════════════════════════════════════════════════════╝
 
-📍 Server URL: http://localhost:${PORT}
-🎨 Web UI: http://localhost:${PORT}/app
-📊 Status: http://localhost:${PORT}/health
+📍 Server URL: http://localhost:${port}
+🎨 Web UI: http://localhost:${port}/app
+📊 Status: http://localhost:${port}/health
+📈 Metrics: http://localhost:${port}/metrics (readiness: /ready)
 
 🔐 Configuration:
-   - WaveSpeed API: ${WAVESPEED_API_KEY ? '✓ Configured' : '✗ Missing WAVESPEED_API_KEY'}
-   - Airtable: ${AIRTABLE_TOKEN && AIRTABLE_BASE_ID ? '✓ Configured' : '✗ Missing credentials'}
-   - Webhook Base URL: ${PUBLIC_BASE_URL}
+   - WaveSpeed API: ${MOCK_MODE ? '⚙ Mock' : WAVESPEED_API_KEY ? '✓ Configured' : '✗ Missing WAVESPEED_API_KEY'}
+   - Airtable: ${MOCK_MODE ? '⚙ Mock' : AIRTABLE_TOKEN && AIRTABLE_BASE_ID ? '✓ Configured' : '✗ Missing credentials'}
+   - Mock Mode: ${MOCK_MODE ? `✓ On (~${MOCK_LATENCY_MS}ms per task, failures ${MOCK_FAILURE_RATE}, 429s ${MOCK_RATE_LIMIT_RATE}, webhooks ${MOCK_WEBHOOKS && WEBHOOKS_ENABLED ? 'on' : 'off'})` : 'off'}
+   - Results Sinks: ${resultsRecorder.sinkNames.join(', ')}${childRecorder ? ` (+ task rows in ${AIRTABLE_CHILD_TABLE})` : ''}
+   - Airtable Intake: ${airtableIntake ? `✓ Queued rows of ${AIRTABLE_INTAKE_TABLE}${AIRTABLE_INTAKE_VIEW ? ` (view ${AIRTABLE_INTAKE_VIEW})` : ''} every ${AIRTABLE_INTAKE_INTERVAL_MS / 1000}s` : 'off'}
+   - Auth: ${auth ? `✓ ${auth.users.length} users from ${USERS_FILE}${SESSION_SECRET ? '' : ' (no SESSION_SECRET: sign-ins end on restart)'}` : '✗ Off (set USERS_FILE; anyone can submit runs)'}
+   - Budgets: ${BUDGET_DAILY_CREDITS || BUDGET_MONTHLY_CREDITS ? `${BUDGET_DAILY_CREDITS || '∞'} credits/day, ${BUDGET_MONTHLY_CREDITS || '∞'} credits/month (over budget: ${BUDGET_EXCEEDED_ACTION})` : 'none'}
+   - Webhook Base URL: ${PUBLIC_BASE_URL}${WEBHOOKS_ENABLED ? '' : ' (webhooks off)'}
+   - Output Storage: ${outputStorage.type}${outputStorage.localDir ? ` (${outputStorage.localDir})` : ''}
+   - Webhooks: ${WEBHOOKS_ENABLED ? '✓ Signed' : '✗ Off without WAVESPEED_WEBHOOK_SECRET (results come from polling)'}
 
 ⚠️  Make sure all env variables are set in .env file
-  `);
-});
+    `);
+  });
+}
+
+// Used by createBatchRunner() in index.mjs
+export { app, createRunFromRequest, cancelRunRequest, getRunStatus, saveUpload, runEvents };
 
 export default app;
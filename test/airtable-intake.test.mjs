@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIntakeRow } from '../lib/airtable-intake.mjs';
+
+test('a complete row becomes an /api/batch request', () => {
+  const { request, errors } = parseIntakeRow({
+    Prompt: ' a red sneaker ',
+    Subject: [{ url: 'https://example.com/subject.png' }],
+    References: 'https://example.com/1.png, https://example.com/2.png',
+    Size: '1024 x 768',
+    Count: 3,
+    Model: 'seedream-v4.5-edit'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(request, {
+    prompt: 'a red sneaker',
+    model: 'seedream-v4.5-edit',
+    subjectUrl: 'https://example.com/subject.png',
+    referenceUrls: ['https://example.com/1.png', 'https://example.com/2.png'],
+    width: 1024,
+    height: 768,
+    batchCount: 3
+  });
+});
+
+test('several subject attachments make a subject matrix', () => {
+  const { request } = parseIntakeRow({
+    Prompt: 'x',
+    Subject: [{ url: 'https://example.com/a.png' }, { url: 'https://example.com/b.png' }],
+    Size: '1024x1024',
+    Count: 1
+  });
+  assert.deepEqual(request.subjectUrls, ['https://example.com/a.png', 'https://example.com/b.png']);
+  assert.equal(request.subjectUrl, undefined);
+});
+
+test('Width and Height are used when there is no Size', () => {
+  const { request, errors } = parseIntakeRow({ Prompt: 'x', Width: '512', Height: 512, Count: '1' });
+  assert.deepEqual(errors, []);
+  assert.equal(request.width, 512);
+  assert.equal(request.height, 512);
+});
+
+test('missing and malformed fields are reported', () => {
+  assert.deepEqual(parseIntakeRow({}).errors, ['Prompt is empty', 'Size is empty (e.g. 1024x1024)', 'Count is empty']);
+  assert.deepEqual(parseIntakeRow({ Prompt: 'x', Size: 'big', Count: 1.5 }).errors, [
+    'Size must look like 1024x1024, got: big',
+    'Count must be a whole number'
+  ]);
+});
+
+test('a preset may supply the prompt, size and count', () => {
+  const { request, errors } = parseIntakeRow({ Preset: 'acme-sneakers' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(request, { preset: 'acme-sneakers' });
+});
@@ -0,0 +1,139 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAirtableWriteQueue } from '../lib/airtable-queue.mjs';
+
+/**
+ * Stand-in for Airtable: records every request and answers with `respond(request)`,
+ * which returns { status, body } (or a promise of it)
+ */
+function fakeAirtable(respond = () => ({ status: 200 })) {
+  const requests = [];
+  async function fetchImpl(url, options) {
+    const request = { table: decodeURIComponent(url.split('/').pop()), method: options.method, ...JSON.parse(options.body) };
+    requests.push(request);
+    const { status, body } = await respond(request);
+    const result = body || {
+      records: request.records.map((record, index) => ({ id: record.id || `rec${requests.length}-${index}`, fields: record.fields }))
+    };
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Map(),
+      json: async () => result,
+      text: async () => JSON.stringify(result)
+    };
+  }
+  return { requests, fetchImpl };
+}
+
+function createQueue(fetchImpl, options = {}) {
+  return createAirtableWriteQueue({ baseUrl: 'https://airtable.test/v0/app1', token: 't', ratePerSecond: 1000, baseDelayMs: 1, maxDelayMs: 5, fetchImpl, ...options });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('waiting updates of one record are coalesced into a single write', async () => {
+  const airtable = fakeAirtable();
+  const queue = createQueue(airtable.fetchImpl);
+
+  await Promise.all([
+    queue.update('Runs', 'rec1', { Status: 'processing', 'Request IDs': 'a' }),
+    queue.update('Runs', 'rec1', { 'Request IDs': 'a,b' })
+  ]);
+
+  assert.equal(airtable.requests.length, 1);
+  assert.deepEqual(airtable.requests[0].records, [{ id: 'rec1', fields: { Status: 'processing', 'Request IDs': 'a,b' } }]);
+});
+
+test('creates of one table share a request and get their own record ids', async () => {
+  const airtable = fakeAirtable();
+  const queue = createQueue(airtable.fetchImpl);
+
+  const ids = await Promise.all(['a', 'b', 'c'].map(prompt => queue.create('Runs', { Prompt: prompt })));
+
+  assert.equal(airtable.requests.length, 1);
+  assert.equal(airtable.requests[0].records.length, 3);
+  assert.deepEqual(ids, ['rec1-0', 'rec1-1', 'rec1-2']);
+});
+
+test('a later update of a record waits for the write in flight', async () => {
+  const gate = deferred();
+  const airtable = fakeAirtable(request => (airtable.requests.length === 1 ? gate.promise : { status: 200 }));
+  const queue = createQueue(airtable.fetchImpl);
+
+  const first = queue.update('Runs', 'rec1', { Status: 'processing' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const second = queue.update('Runs', 'rec1', { Status: 'succeeded' });
+  const other = queue.update('Runs', 'rec2', { Status: 'processing' });
+  await other;
+
+  // rec2 went out, rec1's second write did not
+  assert.deepEqual(airtable.requests.map(request => request.records[0].id), ['rec1', 'rec2']);
+
+  gate.resolve({ status: 200 });
+  await Promise.all([first, second]);
+  assert.deepEqual(airtable.requests.map(request => request.records[0].fields.Status), ['processing', 'processing', 'succeeded']);
+});
+
+test('a failed write is retried under the newer update, which wins', async () => {
+  const gate = deferred();
+  const airtable = fakeAirtable(() => (airtable.requests.length === 1 ? gate.promise : { status: 200 }));
+  const queue = createQueue(airtable.fetchImpl);
+
+  const first = queue.update('Runs', 'rec1', { Status: 'processing', 'Seen IDs': 'a' });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const second = queue.update('Runs', 'rec1', { Status: 'succeeded' }, { final: true });
+  gate.resolve({ status: 503, body: { error: 'unavailable' } });
+  await Promise.all([first, second]);
+
+  assert.equal(airtable.requests.length, 2);
+  assert.deepEqual(airtable.requests[1].records[0].fields, { Status: 'succeeded', 'Seen IDs': 'a' });
+});
+
+test('a 422 on a batch is retried record by record', async () => {
+  const airtable = fakeAirtable(request => {
+    const bad = request.records.some(record => record.fields.Unknown);
+    return bad ? { status: 422, body: { error: { type: 'UNKNOWN_FIELD_NAME' } } } : { status: 200 };
+  });
+  const queue = createQueue(airtable.fetchImpl);
+
+  const good = queue.create('Runs', { Prompt: 'good' });
+  const bad = queue.create('Runs', { Prompt: 'bad', Unknown: 1 });
+
+  assert.match(await good, /^rec/);
+  await assert.rejects(bad, error => error.status === 422 && error.retried === true);
+  assert.deepEqual(airtable.requests.map(request => request.records.length), [2, 1, 1]);
+});
+
+test('writes give up after maxAttempts unless they are final', async () => {
+  const airtable = fakeAirtable(() => ({ status: 500 }));
+  const queue = createQueue(airtable.fetchImpl, { maxAttempts: 3 });
+
+  await assert.rejects(queue.update('Runs', 'rec1', { Status: 'processing' }), error => error.attempts === 3);
+  assert.equal(airtable.requests.length, 3);
+});
+
+test('a 429 pauses the whole queue', async () => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    const airtable = fakeAirtable(() => ({ status: 429 }));
+    const queue = createQueue(airtable.fetchImpl);
+
+    queue.update('Runs', 'rec1', { Status: 'processing' });
+    queue.update('Runs', 'rec2', { Status: 'processing' });
+    mock.timers.tick(1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(airtable.requests.length, 1);
+    assert.ok(queue.stats().pausedForMs > 25000);
+    mock.timers.tick(20000);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(airtable.requests.length, 1, 'nothing is sent during the pause');
+  } finally {
+    mock.timers.reset();
+  }
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuth, loadUsers, hashPassword, parseCookies, safeRedirectPath } from '../lib/auth.mjs';
+
+const DEFAULT_QUOTAS = { runsPerDay: 0, imagesPerRun: 0, concurrentRuns: 0 };
+
+function usersFile(users) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wavespeed-batch-test-'));
+  const filePath = path.join(dir, 'users.json');
+  fs.writeFileSync(filePath, JSON.stringify(users));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return filePath;
+}
+
+const users = loadUsers(usersFile([
+  { id: 'anna', name: 'Anna', role: 'admin', apiKeys: ['key-anna'], passwordHash: hashPassword('secret') },
+  { id: 'boris', apiKeys: ['key-boris'], quotas: { runsPerDay: 5 } }
+]), DEFAULT_QUOTAS);
+const auth = createAuth({ users, sessionSecret: 'test-secret', sessionTtlMs: 60000 });
+
+test('loadUsers fills in defaults and refuses bad files', () => {
+  assert.equal(users[1].name, 'boris');
+  assert.equal(users[1].role, 'user');
+  assert.deepEqual(users[1].quotas, { ...DEFAULT_QUOTAS, runsPerDay: 5 });
+  assert.throws(() => loadUsers(usersFile([{ id: 'a' }, { id: 'a' }]), DEFAULT_QUOTAS), /Duplicate user id/);
+  assert.throws(() => loadUsers(usersFile([{ id: 'a', role: 'owner' }]), DEFAULT_QUOTAS), /role must be/);
+  assert.throws(() => loadUsers(usersFile([{ id: 'a', quotas: { runsPerDay: -1 } }]), DEFAULT_QUOTAS), /quotas.runsPerDay/);
+});
+
+test('API keys identify their user', () => {
+  assert.equal(auth.authenticateKey('key-boris').id, 'boris');
+  assert.equal(auth.authenticateKey('key-nobody'), null);
+  assert.equal(auth.authenticateKey(''), null);
+});
+
+test('passwords are checked against the stored hash', () => {
+  assert.equal(auth.authenticatePassword('anna', 'secret').id, 'anna');
+  assert.equal(auth.authenticatePassword('anna', 'wrong'), null);
+  // boris has no password, so only his API key works
+  assert.equal(auth.authenticatePassword('boris', 'secret'), null);
+});
+
+test('sessions verify only when signed by us and not expired', () => {
+  const session = auth.createSession(users[0]);
+  assert.equal(auth.verifySession(session).id, 'anna');
+
+  const [id, expiresAt, signature] = session.split('.');
+  assert.equal(auth.verifySession(`boris.${expiresAt}.${signature}`), null);
+  assert.equal(auth.verifySession(`${id}.${Number(expiresAt) + 1000}.${signature}`), null);
+  assert.equal(auth.verifySession('garbage'), null);
+
+  const otherServer = createAuth({ users, sessionSecret: 'other-secret', sessionTtlMs: 60000 });
+  assert.equal(otherServer.verifySession(session), null);
+  const expired = createAuth({ users, sessionSecret: 'test-secret', sessionTtlMs: -1000 });
+  assert.equal(auth.verifySession(expired.createSession(users[0])), null);
+});
+
+test('parseCookies decodes values and keeps malformed ones as they are', () => {
+  assert.deepEqual(parseCookies('a=1; b=hello%20world; broken=%E0%A4%A; flag'), {
+    a: '1',
+    b: 'hello world',
+    broken: '%E0%A4%A'
+  });
+});
+
+test('safeRedirectPath keeps same-site paths', () => {
+  assert.equal(safeRedirectPath('/runs?page=2#top'), '/runs?page=2#top');
+  assert.equal(safeRedirectPath('/gallery'), '/gallery');
+});
+
+test('safeRedirectPath refuses other sites, backslashes and junk', () => {
+  for (const value of ['//evil.example', '/\\evil.example', '/\\/evil.example', 'https://evil.example',
+    'evil.example', '/path\nLocation: x', '', undefined, ['/runs']]) {
+    assert.equal(safeRedirectPath(value), '/app', String(value));
+  }
+});
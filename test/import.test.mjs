@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, recordToBatchRequest, parseImportFile, detectImportFormat } from '../lib/import.mjs';
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv('a,b\r\n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv('a,,c'), [['a', '', 'c']]);
+});
+
+test('parseCsv handles quoted commas, new lines and doubled quotes', () => {
+  assert.deepEqual(parseCsv('"a, b","line 1\nline 2","say ""hi"""'), [['a, b', 'line 1\nline 2', 'say "hi"']]);
+});
+
+test('parseCsv drops blank lines', () => {
+  assert.deepEqual(parseCsv('a\n\n  \nb\n'), [['a'], ['b']]);
+});
+
+test('recordToBatchRequest maps header aliases, size and reference lists', () => {
+  const body = recordToBatchRequest({
+    'Subject URL': ' https://example.com/s.png ',
+    'Reference URLs': 'https://example.com/1.png; https://example.com/2.png|https://example.com/3.png',
+    Size: '1024x768',
+    Count: '2',
+    'negative_prompt': 'blurry'
+  });
+  assert.deepEqual(body, {
+    subjectUrl: 'https://example.com/s.png',
+    referenceUrls: ['https://example.com/1.png', 'https://example.com/2.png', 'https://example.com/3.png'],
+    width: '1024',
+    height: '768',
+    batchCount: '2',
+    negativePrompt: 'blurry'
+  });
+});
+
+test('parseImportFile numbers CSV rows from the first data row and skips empty cells', () => {
+  const rows = parseImportFile('prompt,width,height,count\na cat,1024,1024,1\n"a dog, sitting",,,2\n', 'csv');
+  assert.deepEqual(rows, [
+    { row: 1, body: { prompt: 'a cat', width: '1024', height: '1024', batchCount: '1' } },
+    { row: 2, body: { prompt: 'a dog, sitting', batchCount: '2' } }
+  ]);
+});
+
+test('parseImportFile reports bad JSONL lines by row', () => {
+  const rows = parseImportFile('{"prompt":"a cat"}\n\n[1]\nnot json\n', 'jsonl');
+  assert.deepEqual(rows[0], { row: 1, body: { prompt: 'a cat' } });
+  assert.deepEqual(rows[1], { row: 3, error: 'Line is not a JSON object' });
+  assert.equal(rows[2].row, 4);
+  assert.match(rows[2].error, /^Invalid JSON/);
+});
+
+test('detectImportFormat looks at the content type and file name', () => {
+  assert.equal(detectImportFormat('application/x-ndjson'), 'jsonl');
+  assert.equal(detectImportFormat('', 'runs.jsonl'), 'jsonl');
+  assert.equal(detectImportFormat('text/csv', 'runs.csv'), 'csv');
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findTemplateVariables, renderTemplate, validateMatrix, expandMatrix, countCombinations } from '../lib/matrix.mjs';
+
+test('findTemplateVariables lists each placeholder once, in order', () => {
+  assert.deepEqual(findTemplateVariables('{color} {shoe} on {color}'), ['color', 'shoe']);
+  assert.deepEqual(findTemplateVariables('no placeholders'), []);
+});
+
+test('renderTemplate leaves unknown placeholders alone', () => {
+  assert.equal(renderTemplate('{color} {shoe}', { color: 'red' }), 'red {shoe}');
+});
+
+test('validateMatrix reports missing and empty variables', () => {
+  assert.deepEqual(validateMatrix('{color} {shoe}', { color: ['red'] }), ['Prompt uses {shoe} but no values were given for it']);
+  assert.deepEqual(validateMatrix('{color}', { color: [] }), ['Variable "color" must be a non-empty list']);
+  assert.deepEqual(validateMatrix('{color}', { color: ['red'] }, ['https://example.com/a.png']), []);
+});
+
+test('validateMatrix refuses variables and subject lists of the wrong shape', () => {
+  assert.deepEqual(validateMatrix('x', 'color=red'), ['variables must be an object of value lists']);
+  assert.deepEqual(validateMatrix('x', ['red']), ['variables must be an object of value lists']);
+  assert.deepEqual(validateMatrix('x', {}, 'https://example.com/a.png'), ['subjectUrls must be an array']);
+});
+
+test('expandMatrix crosses every variable with the subject axis', () => {
+  const combinations = expandMatrix('{color} {shoe}', { color: ['red', 'blue'], shoe: ['boot'] }, ['s1', 's2']);
+  assert.equal(combinations.length, 4);
+  assert.deepEqual(combinations.map(item => item.prompt), ['red boot', 'blue boot', 'red boot', 'blue boot']);
+  assert.deepEqual(combinations.map(item => item.subjectUrl), ['s1', 's1', 's2', 's2']);
+  assert.deepEqual(combinations[1].variables, { color: 'blue', shoe: 'boot' });
+});
+
+test('expandMatrix without a subject axis leaves subjectUrl null', () => {
+  const [combination] = expandMatrix('{color}', { color: ['red'] });
+  assert.equal(combination.subjectUrl, null);
+});
+
+test('countCombinations matches expandMatrix', () => {
+  const variables = { color: ['red', 'blue', 'green'], shoe: ['boot', 'sneaker'] };
+  assert.equal(countCombinations(variables, ['s1', 's2']), expandMatrix('{color} {shoe}', variables, ['s1', 's2']).length);
+  assert.equal(countCombinations({}, []), 1);
+  assert.equal(countCombinations({ color: 'red' }), 0);
+});
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { createBatchRunner } from '../index.mjs';
+
+/**
+ * Smoke test: one batch end to end in mock mode (createMockWaveSpeed / createMockAirtable),
+ * through submission, polling, outputs and both results sinks
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wavespeed-batch-test-'));
+
+const runner = createBatchRunner({
+  MOCK_MODE: 'true',
+  MOCK_LATENCY_MS: '50',
+  DATA_DIR: dataDir,
+  RESULTS_SINKS: 'airtable,local',
+  AIRTABLE_BASE_ID: 'appMock',
+  AIRTABLE_INTAKE_ENABLED: 'false'
+});
+
+// Results and state are still being written after wait() returns; clean up once the process is done
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * The local results record of a run, once it has the given Status
+ */
+async function localResult(runId, status, timeoutMs = 10000) {
+  const filePath = path.join(dataDir, 'results.json');
+  for (const deadline = Date.now() + timeoutMs; Date.now() < deadline;) {
+    if (fs.existsSync(filePath)) {
+      const records = Object.values(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      const record = records.find(item => item.fields['Run ID'] === runId);
+      if (record && record.fields.Status === status) return record;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+test('a mock-mode batch runs to succeeded', async () => {
+  const subject = await sharp({
+    create: { width: 64, height: 64, channels: 3, background: { r: 200, g: 80, b: 40 } }
+  }).png().toBuffer();
+  const { uploadId } = await runner.upload(subject, 'subject.png');
+
+  const completed = [];
+  runner.on('task-completed', event => completed.push(event.requestId));
+
+  const { runId } = await runner.submit({
+    prompt: 'a red sneaker on a white background',
+    subjectUrl: uploadId,
+    width: 1024,
+    height: 1024,
+    batchCount: 2
+  });
+  assert.ok(runId);
+
+  const status = await runner.wait(runId);
+  assert.equal(status.status, 'succeeded');
+  assert.equal(completed.length, 2);
+
+  const record = await localResult(runId, 'succeeded');
+  assert.ok(record, 'the local results sink has the succeeded run');
+  assert.equal(record.fields.Size, '1024x1024');
+});
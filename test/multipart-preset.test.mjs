@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * A multipart /api/batch submit with a preset keeps the preset's reference images
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wavespeed-batch-test-'));
+Object.assign(process.env, {
+  MOCK_MODE: 'true',
+  MOCK_LATENCY_MS: '50',
+  DATA_DIR: dataDir,
+  RESULTS_SINKS: 'local',
+  AIRTABLE_INTAKE_ENABLED: 'false'
+});
+// server.mjs reads its configuration when it is first imported
+const { app } = await import('../server.mjs');
+
+// The run still finishes after the test; clean up once the process is done
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const server = app.listen(0);
+const baseUrl = `http://localhost:${server.address().port}`;
+test.after(() => server.close());
+
+async function pngBlob(color) {
+  const image = await sharp({ create: { width: 64, height: 64, channels: 3, background: color } }).png().toBuffer();
+  return new Blob([image], { type: 'image/png' });
+}
+
+/**
+ * Last stored state of a run (DATA_DIR/state.jsonl)
+ */
+function storedBatch(runId) {
+  const lines = fs.readFileSync(path.join(dataDir, 'state.jsonl'), 'utf8').trim().split('\n');
+  const entries = lines.map(line => JSON.parse(line)).filter(entry => entry.kind === 'batch' && entry.key === runId);
+  return entries.length > 0 ? entries[entries.length - 1].value : null;
+}
+
+test('a multipart submit with a preset keeps the preset references', async () => {
+  const uploadForm = new FormData();
+  uploadForm.append('files', await pngBlob({ r: 20, g: 120, b: 200 }), 'reference.png');
+  const uploadResponse = await fetch(`${baseUrl}/api/uploads`, { method: 'POST', body: uploadForm });
+  assert.equal(uploadResponse.status, 200);
+  const referenceUrl = (await uploadResponse.json()).uploads[0].uploadId;
+
+  const presetResponse = await fetch(`${baseUrl}/api/presets`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name: 'with-references',
+      model: 'seedream-v4.5-edit',
+      referenceUrls: [referenceUrl],
+      width: 1024,
+      height: 1024,
+      batchCount: 1
+    })
+  });
+  assert.equal(presetResponse.status, 201);
+
+  const form = new FormData();
+  form.append('preset', 'with-references');
+  form.append('prompt', 'a blue sneaker');
+  form.append('subject', await pngBlob({ r: 200, g: 80, b: 40 }), 'subject.png');
+  const response = await fetch(`${baseUrl}/api/batch`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(body));
+
+  assert.deepEqual(storedBatch(body.runId).referenceUrls, [referenceUrl]);
+});
+
+test('a blank referenceUrls field does not clear the preset references', async () => {
+  const form = new FormData();
+  form.append('preset', 'with-references');
+  form.append('prompt', 'a green sneaker');
+  form.append('referenceUrls', '');
+  form.append('subject', await pngBlob({ r: 40, g: 200, b: 80 }), 'subject.png');
+  const response = await fetch(`${baseUrl}/api/batch`, { method: 'POST', body: form });
+  const body = await response.json();
+  assert.equal(response.status, 200, JSON.stringify(body));
+
+  assert.equal(storedBatch(body.runId).referenceUrls.length, 1);
+});
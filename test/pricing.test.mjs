@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPriceTable, periodStart, checkBudget } from '../lib/pricing.mjs';
+
+test('listed sizes win over the per-megapixel price', () => {
+  const prices = createPriceTable();
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 512, 512), 40);
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 1024, 1024), 160);
+});
+
+test('other sizes are priced per megapixel, rounded up', () => {
+  const prices = createPriceTable();
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 2048, 2048), 640);
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 1000, 1000), Math.ceil(160 * 1000000 / (1024 * 1024)));
+  // Unknown models use the default entry
+  assert.equal(prices.creditsPerImage('some-other-model', 1024, 1024), 160);
+});
+
+test('overrides replace the price and keep the base sizes', () => {
+  const prices = createPriceTable({ 'seedream-v4.5-edit': { perMegapixel: 100, sizes: { '2048x2048': 500 } } });
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 2048, 2048), 500);
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 512, 512), 40);
+  assert.equal(prices.creditsPerImage('seedream-v4.5-edit', 1024, 2048), 200);
+});
+
+test('invalid overrides are refused', () => {
+  assert.throws(() => createPriceTable({ x: { perMegapixel: -1 } }), /perMegapixel/);
+  assert.throws(() => createPriceTable({ x: { sizes: { big: 10 } } }), /big/);
+});
+
+test('estimate multiplies the price by the image count', () => {
+  const estimate = createPriceTable().estimate({ model: 'seedream-v4.5-edit', width: 512, height: 512, images: 3 });
+  assert.deepEqual(estimate, { model: 'seedream-v4.5-edit', width: 512, height: 512, images: 3, creditsPerImage: 40, credits: 120 });
+});
+
+test('periodStart is the start of the UTC day or month', () => {
+  const time = Date.UTC(2026, 4, 17, 23, 59);
+  assert.equal(periodStart(time, 'day'), Date.UTC(2026, 4, 17));
+  assert.equal(periodStart(time, 'month'), Date.UTC(2026, 4, 1));
+});
+
+test('checkBudget names the caps a run would go over', () => {
+  const used = { day: 250, month: 900 };
+  assert.deepEqual(checkBudget({ credits: 50, used, dailyCap: 300, monthlyCap: 1000 }).exceeded, []);
+  const over = checkBudget({ credits: 120, used, dailyCap: 300, monthlyCap: 1000 });
+  assert.equal(over.allowed, false);
+  assert.deepEqual(over.exceeded, ['daily', 'monthly']);
+  assert.deepEqual(over.daily, { cap: 300, used: 250, remaining: 50 });
+});
+
+test('a cap of 0 means no limit', () => {
+  const budget = checkBudget({ credits: 1e6, used: { day: 0, month: 0 }, dailyCap: 0, monthlyCap: 0 });
+  assert.equal(budget.allowed, true);
+  assert.deepEqual(budget.daily, { cap: null, used: 0, remaining: null });
+});
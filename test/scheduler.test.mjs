@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSubmissionScheduler } from '../lib/scheduler.mjs';
+
+/**
+ * A submit function that counts its calls and resolves with `value`
+ */
+function counted(value, calls) {
+  return async () => {
+    calls.push(value);
+    return value;
+  };
+}
+
+test('the token bucket lets a burst through, then holds to the rate', async () => {
+  const scheduler = createSubmissionScheduler({ ratePerSecond: 10, burst: 2, maxInFlight: 10 });
+  const calls = [];
+  const startedAt = Date.now();
+  const results = [1, 2, 3].map(value => scheduler.enqueue('run-a', value, counted(value, calls)));
+
+  assert.deepEqual(calls, [1, 2]);
+  assert.equal(scheduler.stats().queued, 1);
+  assert.deepEqual(await Promise.all(results), [1, 2, 3]);
+  assert.ok(Date.now() - startedAt >= 80, 'the third task waited for a token');
+});
+
+test('no more than maxInFlight tasks are out until one is released', async () => {
+  const scheduler = createSubmissionScheduler({ ratePerSecond: 1000, burst: 10, maxInFlight: 1 });
+  const calls = [];
+  const first = scheduler.enqueue('run-a', 1, counted(1, calls));
+  const second = scheduler.enqueue('run-a', 2, counted(2, calls));
+
+  await first;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.deepEqual(calls, [1]);
+  assert.deepEqual(scheduler.stats().inFlight, 1);
+
+  scheduler.release();
+  assert.equal(await second, 2);
+  assert.deepEqual(calls, [1, 2]);
+});
+
+test('runs are served round-robin', () => {
+  const scheduler = createSubmissionScheduler({ maxInFlight: 0 });
+  const runA = [1, 2, 3].map(label => scheduler.enqueue('run-a', label, async () => {}));
+  scheduler.enqueue('run-b', 1, async () => {});
+
+  assert.deepEqual(scheduler.positions('run-b'), [{ label: 1, position: 2 }]);
+  assert.deepEqual(scheduler.positions('run-a').map(entry => entry.position), [1, 3, 4]);
+  const cancelled = new Error('cancelled');
+  assert.equal(scheduler.cancelRun('run-a', cancelled), 3);
+  assert.equal(scheduler.stats().queued, 1);
+  return Promise.all(runA.map(task => assert.rejects(task, cancelled)));
+});
+
+test('a 429 pauses all submissions for Retry-After and requeues the task', async () => {
+  const scheduler = createSubmissionScheduler({ ratePerSecond: 1000, burst: 10, maxInFlight: 10 });
+  const calls = [];
+  let attempts = 0;
+  const startedAt = Date.now();
+
+  const limited = scheduler.enqueue('run-a', 1, async () => {
+    calls.push('limited');
+    if (++attempts === 1) {
+      const error = new Error('Too many requests');
+      error.status = 429;
+      error.retryAfterMs = 150;
+      throw error;
+    }
+    return 'ok';
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  const other = scheduler.enqueue('run-b', 1, counted('other', calls));
+
+  assert.ok(scheduler.stats().pausedForMs > 0);
+  assert.deepEqual(calls, ['limited']);
+  assert.equal(await limited, 'ok');
+  assert.equal(await other, 'other');
+  assert.ok(Date.now() - startedAt >= 140, 'nothing went out during the pause');
+  assert.equal(attempts, 2);
+});
+
+test('a task gives up after maxRateLimitRetries 429s', async () => {
+  const scheduler = createSubmissionScheduler({ ratePerSecond: 1000, burst: 10, maxRateLimitRetries: 1 });
+  const error = Object.assign(new Error('Too many requests'), { status: 429, retryAfterMs: 20 });
+  await assert.rejects(scheduler.enqueue('run-a', 1, async () => { throw error; }), error);
+});
+
+test('other errors reject the task without pausing', async () => {
+  const scheduler = createSubmissionScheduler();
+  const error = Object.assign(new Error('Bad request'), { status: 400 });
+  await assert.rejects(scheduler.enqueue('run-a', 1, async () => { throw error; }), error);
+  assert.equal(scheduler.stats().pausedForMs, 0);
+  assert.equal(scheduler.stats().inFlight, 0);
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Signature and replay checks of POST /webhooks/wavespeed (verifyWebhookSignature)
+ */
+
+const SECRET = 'whsec_dGVzdC1zZWNyZXQ=';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wavespeed-batch-test-'));
+Object.assign(process.env, {
+  MOCK_MODE: 'true',
+  DATA_DIR: dataDir,
+  RESULTS_SINKS: 'local',
+  AIRTABLE_INTAKE_ENABLED: 'false',
+  WAVESPEED_WEBHOOK_SECRET: SECRET,
+  WEBHOOK_TOLERANCE_SECONDS: '300'
+});
+// server.mjs reads its configuration when it is first imported
+const { app } = await import('../server.mjs');
+
+const server = app.listen(0);
+const url = `http://localhost:${server.address().port}/webhooks/wavespeed`;
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function sign(id, timestamp, body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret.replace(/^whsec_/, '')).update(`${id}.${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * POST a webhook for an unknown task; a good signature gets as far as the task lookup (404)
+ */
+async function deliver({ id = `msg_${crypto.randomUUID()}`, timestamp = Math.floor(Date.now() / 1000), signature } = {}) {
+  const body = JSON.stringify({ id: 'mock-unknown', status: 'completed' });
+  const headers = { 'Content-Type': 'application/json', 'webhook-id': id, 'webhook-timestamp': String(timestamp) };
+  headers['webhook-signature'] = signature === undefined ? `v1,${sign(id, timestamp, body)}` : signature;
+  const response = await fetch(url, { method: 'POST', headers, body });
+  return { status: response.status, body: await response.json() };
+}
+
+test('a correctly signed webhook is accepted', async () => {
+  assert.equal((await deliver()).status, 404);
+});
+
+test('one of several signatures may match', async () => {
+  const id = 'msg_rotated';
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({ id: 'mock-unknown', status: 'completed' });
+  const signature = `v1,${sign(id, timestamp, body, 'whsec_b2xk')} v1,${sign(id, timestamp, body)}`;
+  assert.equal((await deliver({ id, timestamp, signature })).status, 404);
+});
+
+test('a wrong or missing signature is rejected', async () => {
+  const wrong = await deliver({ signature: `v1,${'0'.repeat(64)}` });
+  assert.deepEqual(wrong, { status: 401, body: { error: 'Invalid signature' } });
+  const missing = await deliver({ signature: '' });
+  assert.deepEqual(missing, { status: 401, body: { error: 'Missing signature headers' } });
+});
+
+test('a timestamp outside the tolerance window is rejected', async () => {
+  const stale = await deliver({ timestamp: Math.floor(Date.now() / 1000) - 301 });
+  assert.deepEqual(stale, { status: 401, body: { error: 'Timestamp outside tolerance window' } });
+});
+
+test('a replayed webhook id is rejected', async () => {
+  const id = 'msg_replayed';
+  assert.equal((await deliver({ id })).status, 404);
+  assert.deepEqual(await deliver({ id }), { status: 401, body: { error: 'Replayed webhook' } });
+});